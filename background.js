@@ -1,8 +1,75 @@
 // Video DownloadHelper - Background Script
 
+importScripts('tsdemuxer.js', 'mp4parser.js', 'mp4muxer.js', 'subtitles.js', 'downloadqueue.js',
+    'streamcheckpoint.js', 'headerreplay.js');
+
+// IndexedDB shared with offscreen.js
+const DB_NAME = 'video-downloadhelper';
+const DB_VERSION = 2; // 2: stream job checkpoints
+
+// Key systems named in HLS KEYFORMAT and DASH ContentProtection@schemeIdUri
+const DRM_SYSTEMS = {
+    'com.apple.streamingkeydelivery': 'FairPlay',
+    'urn:uuid:94ce86fb-07ff-4f43-adb8-93d2fa968ca2': 'FairPlay',
+    'urn:uuid:edef8ba9-79d6-4ace-a3c8-27dcd51d21ed': 'Widevine',
+    'com.microsoft.playready': 'PlayReady',
+    'urn:uuid:9a04f079-9840-4286-ab92-e65be0885f95': 'PlayReady',
+    'urn:uuid:e2719d58-a985-b3c9-781a-b030af78d30e': 'ClearKey',
+    'urn:uuid:1077efec-c0b2-4d02-ace3-3c1e52e2fb4b': 'ClearKey'
+};
+
+// chrome.storage.session key for media requests seen by network monitoring:
+// tab id -> [[url, { url, type, frameId, firstSeen, headers }], ...]
+const STREAMING_URLS_KEY = 'streamingUrls';
+// Repeated requests (every HLS/DASH segment) are saved at most once a second
+const STREAMING_SAVE_DELAY = 1000;
+// Videos content.js found in each frame: tab id -> [[frame id, videos], ...]
+const PAGE_VIDEOS_KEY = 'pageVideos';
+
+// Toolbar badge: number of media in the tab, coloured by the best kind found
+const BADGE_COLORS = {
+    stream: '#1a73e8',
+    direct: '#188038',
+    blocked: '#80868b' // Only entries that cannot be downloaded (blob:, DRM)
+};
+const BADGE_MAX_COUNT = 99;
+
+// Retries for failed segments and interrupted downloads
+const RETRY_MAX_ATTEMPTS = 4; // Retries after the first try
+const RETRY_BASE_DELAY = 1000; // Doubles with every retry
+const RETRY_MAX_DELAY = 30000;
+// A 403 (expired or denied token) fails the same way on every retry
+const RETRY_HTTP_STATUSES = [408, 429, 500, 502, 503, 504];
+const RETRY_DOWNLOAD_ERRORS = [
+    'NETWORK_FAILED', 'NETWORK_TIMEOUT', 'NETWORK_DISCONNECTED', 'NETWORK_SERVER_DOWN',
+    'SERVER_FAILED', 'SERVER_NO_RANGE'
+];
+
+// Multi-connection downloads of large direct files
+const RANGED_MIN_SIZE = 16 * 1024 * 1024; // Smaller files gain little from it
+const RANGED_CHUNK_SIZE = 4 * 1024 * 1024; // Unit of requests, retries and checkpoints
+const RANGED_MAX_CONNECTIONS = 8;
+const HOST_CONNECTIONS_KEY = 'hostConnections'; // chrome.storage.local: host -> connections
+
+// Live HLS recording
+const LIVE_START_SEGMENTS = 3; // Start this many segments from the live edge
+const LIVE_MAX_FAILURES = 5; // Consecutive failed polls before giving up
+// chrome.storage.session key for recording progress: [summary, ...]. The
+// segments go to the recording's stream checkpoint as they arrive.
+const LIVE_RECORDINGS_KEY = 'liveRecordings';
+const LIVE_INIT_STAGE = 2; // Checkpoint stage of init segments; 0 is video, 1 audio
+
 class VideoDownloadHelper {
     constructor() {
         this.streamingUrls = new Map();
+        this.pageVideos = new Map(); // tab id -> Map(frame id -> videos)
+        this.streamingUrlsReady = this.loadStreamingUrls();
+        this.streamingSaveTimer = null;
+        this.headerReplay = new HeaderReplay((url, tabId) => this.findRequestHeaders(url, tabId));
+        this.jobScopes = new Map(); // direct job id -> header scope of its browser download
+        this.recordings = new Map(); // id -> live recording state
+        this.recordingsReady = this.loadRecordings();
+        this.queue = new DownloadQueue(this);
         this.init();
     }
 
@@ -18,6 +85,7 @@ class VideoDownloadHelper {
 
         // Listen for download events
         chrome.downloads.onChanged.addListener((downloadDelta) => {
+            this.queue.handleDownloadChange(downloadDelta);
             this.handleDownloadChange(downloadDelta);
         });
 
@@ -25,16 +93,88 @@ class VideoDownloadHelper {
         chrome.runtime.onInstalled.addListener((details) => {
             this.handleInstallation(details);
         });
+
+        chrome.tabs.onRemoved.addListener((tabId) => {
+            this.clearTabMedia(tabId);
+        });
+
+        // Wakes the worker at browser start so the queue resumes its jobs
+        chrome.runtime.onStartup.addListener(() => {
+            console.log('Browser started, resuming download queue');
+        });
     }
 
     async handleMessage(request, sender, sendResponse) {
         try {
             if (request.action === 'downloadVideo') {
-                const result = await this.downloadVideo(request.url, request.filename);
+                const result = await this.withHeaderScope(request.tabId,
+                    scope => this.downloadVideo(request.url, request.filename, scope));
                 sendResponse({ success: true, downloadId: result });
             } else if (request.action === 'downloadStreaming') {
-                const result = await this.downloadStreamingVideo(request.video);
+                const result = await this.withHeaderScope(request.video.tabId,
+                    scope => this.downloadStreamingVideo(request.video, { scope: scope }));
                 sendResponse({ success: true, result: result });
+            } else if (request.action === 'getStreamInfo') {
+                const info = await this.withHeaderScope(request.tabId,
+                    scope => this.getStreamInfo(request.url, scope));
+                sendResponse({ success: true, info: info });
+            } else if (request.action === 'enqueueDownload') {
+                const job = await this.queue.add(await this.prepareDownloadJob(request));
+                sendResponse({ success: true, job: job });
+            } else if (request.action === 'getTabMedia') {
+                const media = await this.getTabMedia(request.tabId);
+                const videos = await this.getPageVideos(request.tabId);
+                sendResponse({ success: true, media: media, videos: videos });
+            } else if (request.action === 'reportVideos') {
+                if (sender.tab) {
+                    await this.setPageVideos(sender.tab.id, sender.frameId || 0, sender.url || '', request.videos || []);
+                }
+                sendResponse({ success: true });
+            } else if (request.action === 'probeUrl') {
+                const info = await this.withHeaderScope(request.tabId,
+                    scope => this.probeUrl(request.url, scope));
+                sendResponse({ success: true, info: info });
+            } else if (request.action === 'getHostConnections') {
+                const host = this.queue.getHost(request.url);
+                const connections = await this.getHostConnections(host);
+                sendResponse({ success: true, host: host, connections: connections });
+            } else if (request.action === 'setHostConnections') {
+                const host = this.queue.getHost(request.url);
+                const connections = await this.setHostConnections(host, request.connections);
+                sendResponse({ success: true, host: host, connections: connections });
+            } else if (request.action === 'getQueue') {
+                const jobs = await this.queue.list();
+                sendResponse({ success: true, jobs: jobs, limits: this.queue.limits });
+            } else if (request.action === 'pauseDownload') {
+                await this.queue.pause(request.jobId);
+                sendResponse({ success: true });
+            } else if (request.action === 'resumeDownload') {
+                await this.queue.resume(request.jobId);
+                sendResponse({ success: true });
+            } else if (request.action === 'cancelDownload') {
+                await this.queue.cancel(request.jobId);
+                sendResponse({ success: true });
+            } else if (request.action === 'setDownloadPriority') {
+                await this.queue.setPriority(request.jobId, request.priority);
+                sendResponse({ success: true });
+            } else if (request.action === 'setQueueLimits') {
+                await this.queue.setLimits(request.limits);
+                sendResponse({ success: true, limits: this.queue.limits });
+            } else if (request.action === 'clearFinishedDownloads') {
+                await this.queue.clearFinished();
+                sendResponse({ success: true });
+            } else if (request.action === 'startRecording') {
+                const recordingId = await this.startRecording(request.video, request.limits);
+                sendResponse({ success: true, recordingId: recordingId });
+            } else if (request.action === 'stopRecording') {
+                await this.stopRecording(request.recordingId);
+                sendResponse({ success: true });
+            } else if (request.action === 'getRecordings') {
+                sendResponse({ success: true, recordings: await this.getRecordings() });
+            } else if (request.action === 'downloadSubtitle') {
+                const downloadId = await this.withHeaderScope(request.video.tabId,
+                    scope => this.downloadSubtitle(request.video, request.subtitle, request.format, scope));
+                sendResponse({ success: true, downloadId: downloadId });
             }
         } catch (error) {
             console.error('Message handling error:', error);
@@ -44,16 +184,31 @@ class VideoDownloadHelper {
 
     setupNetworkMonitoring() {
         // Monitor web requests for streaming content
+        // and keep the headers the page sent, so our own requests for the
+        // same media can replay them. Referer and Cookie need extraHeaders.
         if (chrome.webRequest) {
-            chrome.webRequest.onBeforeRequest.addListener(
+            chrome.webRequest.onBeforeSendHeaders.addListener(
                 (details) => {
-                    if (this.isStreamingUrl(details.url)) {
-                        console.log('Detected streaming request:', details.url);
-                        this.storeStreamingUrl(details.url, details.tabId);
+                    // tabId -1 are the extension's own requests
+                    if (details.tabId < 0) return;
+                    
+                    if (details.type === 'main_frame') {
+                        // The tab navigates away; its media goes with the old page
+                        this.clearTabMedia(details.tabId);
+                    } else if (details.type === 'sub_frame') {
+                        // An iframe loads a new document, which reports anew
+                        this.clearFrameVideos(details.tabId, details.frameId);
+                    } else if (this.isStreamingUrl(details.url) || details.type === 'media') {
+                        console.log('Detected media request:', details.url);
+                        this.storeStreamingUrl(details.url, details.tabId, {
+                            type: details.type,
+                            frameId: details.frameId,
+                            headers: HeaderReplay.pick(details.requestHeaders)
+                        });
                     }
                 },
                 { urls: ["<all_urls>"] },
-                ["requestBody"]
+                ["requestHeaders", "extraHeaders"]
             );
         }
     }
@@ -79,25 +234,268 @@ class VideoDownloadHelper {
         return false;
     }
 
-    async storeStreamingUrl(url, tabId) {
+    // The worker can be stopped at any time; detected URLs and the videos
+    // pages reported are kept in session storage so they outlive it
+    async loadStreamingUrls() {
+        try {
+            const stored = await chrome.storage.session.get([STREAMING_URLS_KEY, PAGE_VIDEOS_KEY]);
+            Object.entries(stored[STREAMING_URLS_KEY] || {}).forEach(([tabId, entries]) => {
+                this.streamingUrls.set(Number(tabId), new Map(entries));
+            });
+            Object.entries(stored[PAGE_VIDEOS_KEY] || {}).forEach(([tabId, frames]) => {
+                this.pageVideos.set(Number(tabId), new Map(frames));
+            });
+        } catch (error) {
+            console.error('Error loading streaming URLs:', error);
+        }
+    }
+
+    // Per tab: URL -> entry, most recently requested last. A repeated
+    // request keeps the first-seen time and refreshes the headers.
+    async storeStreamingUrl(url, tabId, request = {}) {
         try {
+            await this.streamingUrlsReady;
+            
             if (!this.streamingUrls.has(tabId)) {
-                this.streamingUrls.set(tabId, new Set());
+                this.streamingUrls.set(tabId, new Map());
             }
-            this.streamingUrls.get(tabId).add(url);
+            const urls = this.streamingUrls.get(tabId);
+            const previous = urls.get(url);
+            const isNew = !previous;
+            urls.delete(url);
+            urls.set(url, {
+                url: url,
+                type: request.type || 'other',
+                frameId: request.frameId || 0,
+                firstSeen: previous ? previous.firstSeen : Date.now(),
+                headers: request.headers || {}
+            });
             
             // Clean up old entries (keep only last 100 per tab)
-            const urls = this.streamingUrls.get(tabId);
             if (urls.size > 100) {
                 const urlArray = Array.from(urls);
-                this.streamingUrls.set(tabId, new Set(urlArray.slice(-100)));
+                this.streamingUrls.set(tabId, new Map(urlArray.slice(-100)));
+            }
+            
+            // New URLs are saved right away; repeats only refresh the
+            // order and headers
+            if (isNew) {
+                await this.saveStreamingUrls();
+                this.notifyTabMedia(tabId);
+            } else {
+                this.saveStreamingUrlsSoon();
             }
         } catch (error) {
             console.error('Error storing streaming URL:', error);
         }
     }
 
-    async downloadVideo(url, filename) {
+    async clearTabMedia(tabId) {
+        try {
+            await this.streamingUrlsReady;
+            const hadUrls = this.streamingUrls.delete(tabId);
+            const hadVideos = this.pageVideos.delete(tabId);
+            if (hadUrls) {
+                await this.saveStreamingUrls();
+            }
+            if (hadVideos) {
+                await this.savePageVideos();
+            }
+            await this.updateBadge(tabId);
+        } catch (error) {
+            console.error('Error clearing tab media:', error);
+        }
+    }
+
+    // content.js runs in every frame and re-reports whenever its list
+    // changes; the new list replaces the frame's previous one. Entries are
+    // tagged with the frame they came from.
+    async setPageVideos(tabId, frameId, frameUrl, videos) {
+        try {
+            await this.streamingUrlsReady;
+            
+            if (!this.pageVideos.has(tabId)) {
+                this.pageVideos.set(tabId, new Map());
+            }
+            this.pageVideos.get(tabId).set(frameId, videos.map(video => ({
+                ...video,
+                frameId: frameId,
+                frameUrl: frameUrl
+            })));
+            
+            await this.savePageVideos();
+            this.notifyTabMedia(tabId);
+        } catch (error) {
+            console.error('Error storing page videos:', error);
+        }
+    }
+
+    async clearFrameVideos(tabId, frameId) {
+        try {
+            await this.streamingUrlsReady;
+            
+            const frames = this.pageVideos.get(tabId);
+            if (frames && frames.delete(frameId)) {
+                await this.savePageVideos();
+                this.notifyTabMedia(tabId);
+            }
+        } catch (error) {
+            console.error('Error clearing frame videos:', error);
+        }
+    }
+
+    async savePageVideos() {
+        const stored = {};
+        this.pageVideos.forEach((frames, id) => {
+            stored[id] = Array.from(frames);
+        });
+        await chrome.storage.session.set({ [PAGE_VIDEOS_KEY]: stored });
+    }
+
+    // All frames of a tab, the top frame first
+    async getPageVideos(tabId) {
+        await this.streamingUrlsReady;
+        
+        const frames = this.pageVideos.get(tabId);
+        if (!frames) {
+            return [];
+        }
+        return Array.from(frames)
+            .sort(([a], [b]) => (a === 0 ? -1 : b === 0 ? 1 : 0))
+            .flatMap(([, videos]) => videos);
+    }
+
+    // Updates the badge; an open popup refreshes its list, without one
+    // nobody listens
+    notifyTabMedia(tabId) {
+        this.updateBadge(tabId);
+        chrome.runtime.sendMessage({ action: 'tabMediaUpdated', tabId: tabId }).catch(() => {});
+    }
+
+    // Media of a tab by kind, counted once per URL: what content.js
+    // reported plus manifests and media requests from the network. Single
+    // segments are left out, as in the popup.
+    async countTabMedia(tabId) {
+        const kinds = new Map(); // url -> 'stream' | 'direct' | 'blocked'
+        
+        (await this.getPageVideos(tabId)).forEach(video => {
+            let kind = 'direct';
+            if (video.downloadable === false) {
+                kind = 'blocked';
+            } else if (video.isStreaming || video.format === 'HLS' || video.format === 'DASH') {
+                kind = 'stream';
+            }
+            kinds.set(video.url || video.src, kind);
+        });
+        
+        (await this.getTabMedia(tabId)).forEach(entry => {
+            if (kinds.has(entry.url)) return;
+            
+            if (/\.(m3u8|mpd)/i.test(entry.url)) {
+                kinds.set(entry.url, 'stream');
+            } else if (entry.type === 'media') {
+                kinds.set(entry.url, 'direct');
+            }
+        });
+        
+        const counts = { stream: 0, direct: 0, blocked: 0 };
+        kinds.forEach(kind => counts[kind]++);
+        return counts;
+    }
+
+    async updateBadge(tabId) {
+        try {
+            const counts = await this.countTabMedia(tabId);
+            const total = counts.stream + counts.direct + counts.blocked;
+            const kind = ['stream', 'direct', 'blocked'].find(name => counts[name] > 0);
+            
+            await chrome.action.setBadgeText({
+                tabId: tabId,
+                text: total === 0 ? '' : total > BADGE_MAX_COUNT ? `${BADGE_MAX_COUNT}+` : String(total)
+            });
+            if (kind) {
+                await chrome.action.setBadgeBackgroundColor({ tabId: tabId, color: BADGE_COLORS[kind] });
+            }
+        } catch (error) {
+            // The tab is gone
+            console.log('Could not update badge:', error.message);
+        }
+    }
+
+    async saveStreamingUrls() {
+        clearTimeout(this.streamingSaveTimer);
+        this.streamingSaveTimer = null;
+        
+        const stored = {};
+        this.streamingUrls.forEach((tabUrls, id) => {
+            stored[id] = Array.from(tabUrls);
+        });
+        await chrome.storage.session.set({ [STREAMING_URLS_KEY]: stored });
+    }
+
+    saveStreamingUrlsSoon() {
+        if (!this.streamingSaveTimer) {
+            this.streamingSaveTimer = setTimeout(() => {
+                this.saveStreamingUrls().catch(error => console.error('Error saving streaming URLs:', error));
+            }, STREAMING_SAVE_DELAY);
+        }
+    }
+
+    // Media the network monitor saw in a tab, oldest first. Headers stay
+    // in the background.
+    async getTabMedia(tabId) {
+        await this.streamingUrlsReady;
+        
+        const urls = this.streamingUrls.get(tabId);
+        if (!urls) {
+            return [];
+        }
+        return Array.from(urls.values())
+            .map(({ headers, ...entry }) => entry)
+            .sort((a, b) => a.firstSeen - b.firstSeen);
+    }
+
+    // Headers the tab sent for this URL, or else for its latest media
+    // request to the same host: segments and keys rarely match the
+    // detection patterns themselves. Other tabs' headers are never used.
+    async findRequestHeaders(url, tabId) {
+        await this.streamingUrlsReady;
+        
+        const host = this.queue.getHost(url);
+        const urls = this.streamingUrls.get(tabId);
+        if (!host || !urls) {
+            return null;
+        }
+        if (urls.has(url)) {
+            return urls.get(url).headers;
+        }
+        
+        let sameHost = null;
+        for (const [entryUrl, entry] of urls) {
+            if (this.queue.getHost(entryUrl) === host) {
+                sameHost = entry.headers;
+            }
+        }
+        return sameHost;
+    }
+
+    // fetch() with the headers the scope's tab sent for this media
+    async fetchMedia(url, options = {}, scope = null) {
+        const headers = await this.headerReplay.prepare(url, scope);
+        return fetch(url, { ...options, headers: { ...headers, ...options.headers } });
+    }
+
+    // Header rules live as long as the work that needs them
+    async withHeaderScope(tabId, work) {
+        const scope = this.headerReplay.createScope(tabId);
+        try {
+            return await work(scope);
+        } finally {
+            await this.headerReplay.release(scope);
+        }
+    }
+
+    async downloadVideo(url, filename, scope = null) {
         try {
             console.log('Starting download:', { url, filename });
             
@@ -128,11 +526,13 @@ class VideoDownloadHelper {
                 // Still try to download, but warn user
             }
 
-            // Check URL accessibility first
-            const accessCheck = await this.checkUrlAccessibility(url);
+            // Check URL accessibility first. Only a network error stops the
+            // download: servers that check the Referer can answer the probe
+            // differently from the browser's own download.
+            const accessCheck = await this.checkUrlAccessibility(url, scope);
             console.log('URL accessibility check:', accessCheck);
             
-            if (!accessCheck.accessible) {
+            if (accessCheck.error) {
                 this.showNotification('URL không khả dụng', {
                     message: `Không thể truy cập URL: ${accessCheck.error}`,
                     type: 'basic',
@@ -145,12 +545,13 @@ class VideoDownloadHelper {
             const sanitizedFilename = this.sanitizeFilename(filename);
             console.log('Sanitized filename:', sanitizedFilename);
             
-            // Start download
+            // Start download with the page's headers
             const downloadId = await chrome.downloads.download({
                 url: url,
                 filename: sanitizedFilename,
                 conflictAction: 'uniquify',
-                saveAs: false
+                saveAs: false,
+                headers: await this.headerReplay.prepareDownload(url, scope)
             });
 
             console.log('Download started with ID:', downloadId);
@@ -169,16 +570,135 @@ class VideoDownloadHelper {
         }
     }
 
-    async downloadStreamingVideo(video) {
+    // Download queue runners. A direct job's header rules stay while the
+    // browser downloads, pauses and resumes, until the queue releases the job.
+    getJobScope(job) {
+        if (!this.jobScopes.has(job.id)) {
+            this.jobScopes.set(job.id, this.headerReplay.createScope(job.video.tabId));
+        }
+        return this.jobScopes.get(job.id);
+    }
+
+    startDirectDownload(job) {
+        return this.downloadVideo(job.video.url, job.filename, this.getJobScope(job));
+    }
+
+    async resumeDirectDownload(job) {
+        await this.headerReplay.prepare(job.video.url, this.getJobScope(job));
+        await chrome.downloads.resume(job.downloadId);
+    }
+
+    async releaseJob(job) {
+        const scope = this.jobScopes.get(job.id);
+        this.jobScopes.delete(job.id);
+        await this.headerReplay.release(scope);
+    }
+
+    // Segments fetched by an earlier run of the job come from its checkpoint
+    async runStreamDownload(job, task) {
+        task.checkpoint = await new StreamCheckpoint(this, job.id).load();
+        task.scope = this.headerReplay.createScope(job.video.tabId);
+        try {
+            if (job.kind === 'ranged') {
+                return await this.downloadRanged(job, task);
+            }
+            return await this.downloadStreamingVideo(job.video, task);
+        } finally {
+            await this.headerReplay.release(task.scope);
+        }
+    }
+
+    // Direct files become 'ranged' jobs when the user set more than one
+    // connection for the host and the server serves byte ranges
+    async prepareDownloadJob(request) {
+        if (request.kind !== 'direct' || this.isBlobUrl(request.video.url)) {
+            return request;
+        }
+        
+        const connections = await this.getHostConnections(this.queue.getHost(request.video.url));
+        if (connections < 2) {
+            return request;
+        }
+        
+        const probe = await this.withHeaderScope(request.video.tabId,
+            scope => this.probeUrl(request.video.url, scope));
+        if (!probe.ranges || probe.size < RANGED_MIN_SIZE) {
+            console.log('Using a single connection:', probe);
+            return request;
+        }
+        return { ...request, kind: 'ranged' };
+    }
+
+    // Large direct files: fixed-size byte ranges fetched over several
+    // connections, each range with its own retries and checkpoint entry,
+    // then joined in order into the final file
+    async downloadRanged(job, task) {
+        const url = job.video.url;
+        const probe = await this.probeUrl(url, task.scope);
+        const connections = await this.getHostConnections(this.queue.getHost(url));
+        
+        const segments = [];
+        if (probe.ranges && probe.size > 0) {
+            for (let start = 0; start < probe.size; start += RANGED_CHUNK_SIZE) {
+                const end = Math.min(start + RANGED_CHUNK_SIZE, probe.size) - 1;
+                segments.push({ url: url, range: `${start}-${end}` });
+            }
+        } else {
+            // The server stopped serving ranges since the job was queued
+            segments.push({ url: url, range: null });
+        }
+        
+        task.progress.totalBytes = probe.size;
+        console.log(`Ranged download: ${segments.length} ranges over ${connections} connections`);
+        // The ranges stay in the checkpoint store only and are joined there
+        const keys = await this.fetchSegments(segments, task, connections, false);
+        
+        const extension = (new URL(url).pathname.match(/\.(\w{2,4})$/) || [])[1] || 'mp4';
+        const downloadId = await this.saveStoredChunks(CHECKPOINT_SEGMENT_STORE, keys,
+            probe.type || `video/${extension}`, this.generateFilename({ title: job.filename }, extension));
+        
+        return { downloadId: downloadId };
+    }
+
+    async getHostConnections(host) {
+        try {
+            const stored = (await chrome.storage.local.get([HOST_CONNECTIONS_KEY]))[HOST_CONNECTIONS_KEY] || {};
+            return stored[host] || 1;
+        } catch (error) {
+            console.error('Error reading connection settings:', error);
+            return 1;
+        }
+    }
+
+    async setHostConnections(host, connections) {
+        const count = Math.min(RANGED_MAX_CONNECTIONS, Math.max(1, parseInt(connections, 10) || 1));
+        const stored = (await chrome.storage.local.get([HOST_CONNECTIONS_KEY]))[HOST_CONNECTIONS_KEY] || {};
+        
+        if (count > 1) {
+            stored[host] = count;
+        } else {
+            delete stored[host];
+        }
+        await chrome.storage.local.set({ [HOST_CONNECTIONS_KEY]: stored });
+        return count;
+    }
+
+    discardCheckpoint(jobId) {
+        return new StreamCheckpoint(this, jobId).clear();
+    }
+
+    // task (optional; only the queue's tasks have everything but the scope):
+    // { signal, progress, onProgress, checkpoint, scope }
+    async downloadStreamingVideo(video, task = null) {
         try {
             const format = video.format || this.detectStreamingFormat(video.url);
             
             if (format === 'HLS') {
-                return await this.downloadHLS(video);
+                return await this.downloadHLS(video, task);
             } else if (format === 'DASH') {
-                return await this.downloadDASH(video);
+                return await this.downloadDASH(video, task);
             } else {
-                return await this.downloadDirect(video);
+                return await this.downloadDirect(video, task ? task.scope : null);
             }
         } catch (error) {
             console.error('Streaming download error:', error);
@@ -192,17 +712,26 @@ class VideoDownloadHelper {
         return 'DIRECT';
     }
 
-    async downloadHLS(video) {
+    async downloadHLS(video, task = null) {
         try {
-            // Fetch M3U8 playlist
-            const response = await fetch(video.url);
-            const playlistText = await response.text();
+            // Resolve the chosen variant and its separate audio rendition
+            const { playlist, audio } = await this.loadHlsRenditions(video.url, video.variantId, video.audioLanguage,
+                task ? task.scope : null);
+            const drm = playlist.drm || (audio && audio.drm);
+            if (drm) {
+                throw new Error(drm);
+            }
             
-            // Parse playlist to get segments
-            const segments = this.parseM3U8(playlistText, video.url);
+            const segments = playlist.segments;
+            if (segments.length === 0) {
+                throw new Error('Playlist không chứa segment nào');
+            }
             
-            // Download playlist file for user
-            await this.downloadPlaylistFile(video, playlistText, 'm3u8');
+            // Fetch every segment in order, then remux to a single MP4
+            const output = await this.downloadRenditions(segments, audio ? audio.segments : null, 'ts', task);
+            const blob = new Blob(output.parts, { type: output.mimeType });
+            const filename = this.generateFilename(video, output.extension);
+            const downloadId = await this.saveBlob(blob, filename);
             
             this.showStreamingNotification(video, 'HLS', segments.length);
             
@@ -210,7 +739,9 @@ class VideoDownloadHelper {
                 success: true, 
                 format: 'HLS', 
                 segments: segments.length,
-                message: 'HLS playlist downloaded'
+                size: blob.size,
+                downloadId: downloadId,
+                message: 'HLS stream downloaded'
             };
         } catch (error) {
             console.error('HLS download error:', error);
@@ -218,173 +749,1967 @@ class VideoDownloadHelper {
         }
     }
 
-    async downloadDASH(video) {
-        try {
-            // Fetch DASH manifest
-            const response = await fetch(video.url);
-            const manifestText = await response.text();
-            
-            // Download manifest file for user
-            await this.downloadPlaylistFile(video, manifestText, 'mpd');
-            
-            this.showStreamingNotification(video, 'DASH', 0);
-            
-            return { 
-                success: true, 
-                format: 'DASH', 
-                message: 'DASH manifest downloaded'
-            };
-        } catch (error) {
-            console.error('DASH download error:', error);
-            throw error;
-        }
+    async downloadSegments(segments, fallbackExtension, task = null) {
+        const pieces = await this.fetchPieces(segments, new Map(), task);
+        return this.assembleSegments(pieces, fallbackExtension);
     }
 
-    async downloadDirect(video) {
-        try {
-            return await this.downloadVideo(video.url, video.title || 'streaming_video');
-        } catch (error) {
-            console.error('Direct download error:', error);
-            throw error;
+    // Video and a separate audio rendition become one MP4 with both
+    // tracks; if the audio cannot be merged the video is still saved
+    async downloadRenditions(videoSegments, audioSegments, fallbackExtension, task = null) {
+        if (!audioSegments || audioSegments.length === 0) {
+            return this.downloadSegments(videoSegments, fallbackExtension, task);
         }
+        
+        const videoPieces = await this.fetchPieces(videoSegments, new Map(), task);
+        const audioPieces = await this.fetchPieces(audioSegments, new Map(), task);
+        return this.assembleRenditions(videoPieces, audioPieces, fallbackExtension);
     }
 
-    parseM3U8(playlistText, baseUrl) {
-        const lines = playlistText.split('\n');
-        const segments = [];
-        
-        for (let i = 0; i < lines.length; i++) {
-            const line = lines[i].trim();
-            
-            if (line && !line.startsWith('#')) {
-                // This is a segment URL
-                let segmentUrl = line;
-                
-                // Handle relative URLs
-                if (!segmentUrl.startsWith('http')) {
-                    const baseUrlObj = new URL(baseUrl);
-                    if (segmentUrl.startsWith('/')) {
-                        segmentUrl = `${baseUrlObj.protocol}//${baseUrlObj.host}${segmentUrl}`;
-                    } else {
-                        const basePath = baseUrlObj.pathname.substring(0, baseUrlObj.pathname.lastIndexOf('/') + 1);
-                        segmentUrl = `${baseUrlObj.protocol}//${baseUrlObj.host}${basePath}${segmentUrl}`;
-                    }
-                }
-                
-                segments.push(segmentUrl);
-            }
+    assembleRenditions(videoPieces, audioPieces, fallbackExtension) {
+        if (!audioPieces || audioPieces.length === 0) {
+            return this.assembleSegments(videoPieces, fallbackExtension);
         }
         
-        return segments;
-    }
-
-    async downloadPlaylistFile(video, content, extension) {
         try {
-            const blob = new Blob([content], { type: 'text/plain' });
-            const url = URL.createObjectURL(blob);
-            const filename = this.generateFilename(video, extension);
-            
-            const downloadId = await chrome.downloads.download({
-                url: url,
-                filename: filename,
-                conflictAction: 'uniquify',
-                saveAs: false
-            });
-            
-            // Clean up blob URL after download
-            setTimeout(() => URL.revokeObjectURL(url), 10000);
-            
-            return downloadId;
+            return this.mergeRenditions(videoPieces, audioPieces);
         } catch (error) {
-            console.error('Playlist download error:', error);
-            throw error;
+            console.warn('Could not merge the audio rendition, saving video only:', error);
+            return this.assembleSegments(videoPieces, fallbackExtension);
         }
     }
 
-    generateFilename(video, extension = 'mp4') {
-        let filename = video.title || 'video';
-        
-        // Clean filename
-        filename = this.sanitizeFilename(filename);
-        
-        // Remove existing extension
-        if (filename.includes('.')) {
-            filename = filename.substring(0, filename.lastIndexOf('.'));
+    // Both renditions keep their source timestamps (PTS or tfdt), so the
+    // muxer's shared zero point keeps them in sync
+    mergeRenditions(videoPieces, audioPieces) {
+        const video = this.readMediaTracks(videoPieces).find(track => track.type === 'video');
+        const audio = this.readMediaTracks(audioPieces).find(track => track.type === 'audio');
+        if (!video || !audio) {
+            throw new Error('Không tìm thấy track video hoặc âm thanh để ghép');
         }
         
-        // Add new extension
-        return `${filename}.${extension}`;
+        video.id = 1;
+        audio.id = 2;
+        return { parts: new MP4Muxer().mux([video, audio]), mimeType: 'video/mp4', extension: 'mp4' };
     }
 
-    sanitizeFilename(filename) {
-        if (!filename || typeof filename !== 'string') {
-            filename = `video_${Date.now()}`;
+    // Demux fetched pieces into muxer tracks, whatever the container
+    readMediaTracks(pieces) {
+        const first = pieces[0].data;
+        
+        if (TSDemuxer.probe(first)) {
+            const demuxer = new TSDemuxer();
+            pieces.forEach(piece => demuxer.push(new Uint8Array(piece.data)));
+            return demuxer.flush();
+        }
+        if (MP4Parser.probe(first)) {
+            const init = pieces[0].init || first;
+            return new MP4Parser().readTracks(pieces.map(piece => piece.init ? piece : { ...piece, init: init }));
+        }
+        if (TSDemuxer.probePackedAudio(first)) {
+            const demuxer = new TSDemuxer();
+            pieces.forEach(piece => demuxer.pushPackedAudio(piece.data));
+            return demuxer.flush();
         }
         
-        return filename
-            .replace(/[<>:"/\\|?*]/g, '_')
-            .replace(/\s+/g, '_')
-            .trim()
-            .substring(0, 100);
+        throw new Error('Định dạng segment không được hỗ trợ');
     }
 
-    showStreamingNotification(video, format, segmentCount) {
-        const message = segmentCount > 0 
-            ? `${format} stream detected with ${segmentCount} segments. Downloading playlist file.`
-            : `${format} stream detected. Downloading manifest file.`;
-            
-        chrome.notifications.create({
-            type: 'basic',
-            iconUrl: 'icons/icon.png',
-            title: 'Video DownloadHelper',
-            message: message
+    // Fetch media segments plus each distinct init segment once; initByKey
+    // carries init data over between calls (live recording)
+    async fetchPieces(segments, initByKey = new Map(), task = null) {
+        const inits = new Map();
+        segments.forEach(segment => {
+            if (segment.init && !initByKey.has(this.segmentKey(segment.init))) {
+                inits.set(this.segmentKey(segment.init), segment.init);
+            }
         });
+        
+        const initList = [...inits.values()];
+        const initData = await this.fetchSegments(initList, task);
+        initList.forEach((init, index) => initByKey.set(this.segmentKey(init), initData[index]));
+        
+        const parts = await this.fetchSegments(segments, task);
+        
+        return segments.map((segment, index) => ({
+            data: parts[index],
+            init: segment.init ? initByKey.get(this.segmentKey(segment.init)) : null,
+            discontinuity: Boolean(segment.discontinuity)
+        }));
     }
 
-    isValidUrl(url) {
-        try {
-            new URL(url);
-            return true;
-        } catch {
-            return false;
-        }
+    segmentKey(segment) {
+        return `${segment.url}|${segment.range || ''}`;
     }
 
-    // Check if URL is a blob URL
-    isBlobUrl(url) {
-        return url.startsWith('blob:');
+    assembleSegments(pieces, fallbackExtension) {
+        const first = pieces[0].data;
+        
+        if (TSDemuxer.probe(first)) {
+            return this.remuxTransportStream(pieces.map(piece => piece.data));
+        }
+        if (MP4Parser.probe(first)) {
+            return this.remuxFragmentedMp4(pieces);
+        }
+        
+        return {
+            parts: pieces.map(piece => piece.data),
+            mimeType: fallbackExtension === 'ts' ? 'video/mp2t' : 'video/mp4',
+            extension: fallbackExtension
+        };
     }
 
-    // Check if URL is from a social media platform
-    isSocialMediaUrl(url) {
-        const socialDomains = ['facebook.com', 'youtube.com', 'instagram.com', 'tiktok.com', 'twitter.com', 'x.com'];
+    // fMP4/CMAF: init segment first, then every fragment, rewritten into a
+    // single moov so changing init segments still give a valid file
+    remuxFragmentedMp4(pieces) {
+        const parser = new MP4Parser();
+        
+        // Without a separate init, the first segment carries the moov
+        const firstInit = pieces[0].init || pieces[0].data;
+        if (parser.parseInit(firstInit).tracks.some(track => track.encrypted)) {
+            throw new Error('Stream được bảo vệ bằng DRM (CENC) - không thể tải xuống');
+        }
+        pieces = pieces.map(piece => piece.init ? piece : { ...piece, init: firstInit });
+        
+        // Naive join: one init followed by the media segments
+        const joined = [pieces[0].init, ...pieces.map(piece => piece.data).filter(data => data !== pieces[0].init)];
+        const raw = { parts: joined, mimeType: 'video/mp4', extension: 'mp4' };
+        
         try {
-            const urlObj = new URL(url);
-            return socialDomains.some(domain => urlObj.hostname.includes(domain));
-        } catch {
-            return false;
+            const tracks = parser.readTracks(pieces);
+            if (tracks.length === 0) {
+                // A self-contained MP4 (SegmentBase without fragments)
+                return raw;
+            }
+            return { parts: new MP4Muxer().mux(tracks), mimeType: 'video/mp4', extension: 'mp4' };
+        } catch (error) {
+            console.warn('fMP4 remux failed, joining segments as they are:', error);
+            return raw;
         }
     }
 
-    // Check if URL is accessible
-    async checkUrlAccessibility(url) {
+    // Joined MPEG-TS becomes a fragmented MP4; anything the demuxer cannot
+    // handle is saved as the original .ts
+    remuxTransportStream(parts) {
+        const raw = { parts: parts, mimeType: 'video/mp2t', extension: 'ts' };
+        if (parts.length === 0 || !TSDemuxer.probe(parts[0])) {
+            return raw;
+        }
+        
         try {
-            const response = await fetch(url, { 
-                method: 'HEAD',
-                mode: 'no-cors' // Avoid CORS issues for checking
-            });
+            const demuxer = new TSDemuxer();
+            parts.forEach(part => demuxer.push(new Uint8Array(part)));
+            
+            const tracks = demuxer.flush();
+            if (tracks.length === 0) {
+                console.warn('No supported tracks found, keeping MPEG-TS');
+                return raw;
+            }
+            
+            return { parts: new MP4Muxer().mux(tracks), mimeType: 'video/mp4', extension: 'mp4' };
+        } catch (error) {
+            console.warn('Remux to MP4 failed, keeping MPEG-TS:', error);
+            return raw;
+        }
+    }
+
+    // Fetch segments with a small worker pool; results keep playlist order.
+    // Encrypted segments are decrypted before they are joined. A queue task
+    // can abort the fetches and receives progress. A segment that fails for
+    // good stops the other workers and their retries. Without keepParts the
+    // data is only written to the task's checkpoint and the result lists
+    // the checkpoint keys instead.
+    async fetchSegments(segments, task = null, concurrency = 4, keepParts = true) {
+        const parts = new Array(segments.length);
+        const keyCache = new Map();
+        const checkpoint = task ? task.checkpoint : null;
+        const stage = checkpoint ? checkpoint.nextStage() : 0;
+        let nextIndex = 0;
+        
+        const controller = new AbortController();
+        if (task && task.signal) {
+            if (task.signal.aborted) {
+                controller.abort(task.signal.reason);
+            }
+            task.signal.addEventListener('abort', () => controller.abort(task.signal.reason), { once: true });
+        }
+        const fetchTask = { ...task, signal: controller.signal };
+        
+        if (task && task.progress) {
+            task.progress.total += segments.length;
+        }
+        
+        const worker = async () => {
+            while (nextIndex < segments.length && !controller.signal.aborted) {
+                const index = nextIndex++;
+                const segment = segments[index];
+                
+                let data = checkpoint ? await checkpoint.readSegment(stage, index, segment) : null;
+                if (!data) {
+                    data = await this.fetchSegmentWithRetry(segment, index, segments.length, fetchTask, keyCache);
+                    if (checkpoint) {
+                        await checkpoint.writeSegment(stage, index, segment, data);
+                    }
+                }
+                parts[index] = keepParts ? data : checkpoint.dataKey(stage, index);
+                
+                if (task && task.progress) {
+                    task.progress.done++;
+                    task.progress.bytes += data.byteLength;
+                    task.onProgress();
+                }
+            }
+        };
+        
+        const workers = [];
+        for (let i = 0; i < Math.min(concurrency, segments.length); i++) {
+            workers.push(worker().catch(error => {
+                controller.abort(error);
+                throw error;
+            }));
+        }
+        await Promise.all(workers);
+        if (controller.signal.aborted) {
+            // Paused or cancelled between two segments
+            throw controller.signal.reason;
+        }
+        
+        return parts;
+    }
+
+    // A failed segment is retried on its own; the rest of the download
+    // keeps going in the other workers
+    async fetchSegmentWithRetry(segment, index, count, task, keyCache) {
+        const signal = task ? task.signal : null;
+        
+        for (let attempt = 0; ; attempt++) {
+            try {
+                return await this.fetchSegment(segment, index, count, task, keyCache);
+            } catch (error) {
+                if (attempt >= RETRY_MAX_ATTEMPTS || !this.isRetryableError(error) || (signal && signal.aborted)) {
+                    throw error;
+                }
+                console.warn(`Segment ${index + 1}/${count} failed, retry ${attempt + 1}/${RETRY_MAX_ATTEMPTS}:`, error.message);
+                await this.waitForRetry(attempt, signal);
+            }
+        }
+    }
+
+    async fetchSegment(segment, index, count, task, keyCache) {
+        const response = await this.fetchMedia(segment.url, {
+            headers: segment.range ? { Range: `bytes=${segment.range}` } : {},
+            signal: task ? task.signal : undefined
+        }, task ? task.scope : null);
+        if (!response.ok) {
+            const error = new Error(`Segment ${index + 1}/${count} lỗi: HTTP ${response.status}`);
+            error.retryable = RETRY_HTTP_STATUSES.includes(response.status);
+            throw error;
+        }
+        
+        const data = await response.arrayBuffer();
+        if (segment.range && response.status !== 206) {
+            // The server ignored the Range header; a whole file only fits
+            // when the range happened to cover all of it
+            const [start, end] = segment.range.split('-').map(Number);
+            if (start !== 0 || data.byteLength !== end + 1) {
+                throw new Error(`Máy chủ không hỗ trợ tải theo đoạn byte (HTTP ${response.status})`);
+            }
+        }
+        if (segment.key) {
+            return this.decryptSegment(data, segment, keyCache, task);
+        }
+        return data;
+    }
+
+    // fetch() rejects with a TypeError when the network fails
+    isRetryableError(error) {
+        return error.name === 'TypeError' || error.retryable === true;
+    }
+
+    // Exponential backoff with jitter: half of the delay is fixed, the
+    // other half random so parallel retries do not hit the server together
+    retryDelay(attempt) {
+        const delay = Math.min(RETRY_MAX_DELAY, RETRY_BASE_DELAY * 2 ** attempt);
+        return delay / 2 + Math.random() * delay / 2;
+    }
+
+    waitForRetry(attempt, signal = null) {
+        return new Promise((resolve, reject) => {
+            const timer = setTimeout(resolve, this.retryDelay(attempt));
+            if (signal) {
+                signal.addEventListener('abort', () => {
+                    clearTimeout(timer);
+                    reject(signal.reason);
+                }, { once: true });
+            }
+        });
+    }
+
+    async decryptSegment(data, segment, keyCache, task = null) {
+        const cryptoKey = await this.getDecryptionKey(segment.key.uri, keyCache, task);
+        // Without an explicit IV, the media sequence number is the IV
+        const iv = segment.key.iv || this.sequenceToIv(segment.sequence);
+        
+        try {
+            return await crypto.subtle.decrypt({ name: 'AES-CBC', iv: iv }, cryptoKey, data);
+        } catch (error) {
+            throw new Error(`Không thể giải mã segment ${segment.sequence}: ${error.message}`);
+        }
+    }
+
+    // Keys are fetched once per URI and shared by every segment of a download.
+    // A checkpoint keeps them, since key URLs often expire with the session.
+    getDecryptionKey(uri, keyCache, task = null) {
+        const checkpoint = task ? task.checkpoint : null;
+        if (!keyCache.has(uri)) {
+            const keyPromise = (async () => {
+                let keyData = checkpoint ? checkpoint.getKey(uri) : null;
+                if (!keyData) {
+                    const response = await this.fetchMedia(uri, {}, task ? task.scope : null);
+                    if (!response.ok) {
+                        throw new Error(`Không thể tải khóa giải mã: HTTP ${response.status}`);
+                    }
+                    
+                    keyData = await response.arrayBuffer();
+                    if (keyData.byteLength !== 16) {
+                        throw new Error(`Khóa AES-128 không hợp lệ (${keyData.byteLength} bytes)`);
+                    }
+                    if (checkpoint) {
+                        await checkpoint.saveKey(uri, keyData);
+                    }
+                }
+                
+                return crypto.subtle.importKey('raw', keyData, { name: 'AES-CBC' }, false, ['decrypt']);
+            })();
+            
+            // Let a failed key fetch be retried by a later download
+            keyPromise.catch(() => keyCache.delete(uri));
+            keyCache.set(uri, keyPromise);
+        }
+        return keyCache.get(uri);
+    }
+
+    sequenceToIv(sequence) {
+        const iv = new Uint8Array(16);
+        let value = sequence;
+        for (let i = 15; i >= 0 && value > 0; i--) {
+            iv[i] = value % 256;
+            value = Math.floor(value / 256);
+        }
+        return iv;
+    }
+
+    parseIv(hex) {
+        const digits = hex.replace(/^0x/i, '').padStart(32, '0');
+        const iv = new Uint8Array(16);
+        for (let i = 0; i < 16; i++) {
+            iv[i] = parseInt(digits.substr(i * 2, 2), 16);
+        }
+        return iv;
+    }
+
+    // Live HLS: poll the media playlist(s) and collect new segments until
+    // Stop, #EXT-X-ENDLIST or a duration/size limit. Runs in the background;
+    // the popup follows progress through getRecordings.
+    async startRecording(video, limits = {}) {
+        await this.recordingsReady;
+        
+        const active = [...this.recordings.values()]
+            .find(item => item.url === video.url && item.status === 'recording');
+        if (active) {
+            return active.id;
+        }
+        
+        const recording = {
+            id: `rec_${Date.now()}`,
+            url: video.url,
+            title: video.title || '',
+            status: 'recording',
+            startTime: Date.now(),
+            segments: 0,
+            bytes: 0,
+            duration: 0,
+            maxDuration: limits.maxDuration || 0,
+            maxSize: limits.maxSize || 0,
+            downloadId: null,
+            error: null,
+            pieces: [[], []], // per rendition: [init index or -1, discontinuity]
+            inits: 0,
+            stopRequested: false,
+            wake: null
+        };
+        this.recordings.set(recording.id, recording);
+        await this.saveRecordings();
+        
+        this.recordLiveHLS(video, recording);
+        return recording.id;
+    }
+
+    async stopRecording(recordingId) {
+        await this.recordingsReady;
+        
+        const recording = this.recordings.get(recordingId);
+        if (!recording) {
+            throw new Error('Không tìm thấy phiên ghi');
+        }
+        
+        recording.stopRequested = true;
+        if (recording.status === 'recording') {
+            recording.status = 'stopping';
+        }
+        if (recording.wake) {
+            recording.wake();
+        }
+        await this.saveRecordings();
+    }
+
+    async getRecordings() {
+        await this.recordingsReady;
+        return this.summarizeRecordings();
+    }
+
+    summarizeRecordings() {
+        return [...this.recordings.values()].map(recording => ({
+            id: recording.id,
+            url: recording.url,
+            title: recording.title,
+            status: recording.status,
+            startTime: recording.startTime,
+            segments: recording.segments,
+            bytes: recording.bytes,
+            duration: recording.duration,
+            maxDuration: recording.maxDuration,
+            maxSize: recording.maxSize,
+            downloadId: recording.downloadId,
+            error: recording.error
+        }));
+    }
+
+    // Recordings that were running when the worker stopped cannot go on
+    // polling; what they stored is saved as it is
+    async loadRecordings() {
+        const interrupted = [];
+        try {
+            const stored = (await chrome.storage.session.get([LIVE_RECORDINGS_KEY]))[LIVE_RECORDINGS_KEY] || [];
+            stored.forEach(saved => {
+                const recording = { pieces: [[], []], inits: 0, ...saved, stopRequested: true, wake: null };
+                if (['recording', 'stopping', 'saving'].includes(recording.status)) {
+                    recording.error = 'Phiên ghi bị dừng do tiện ích khởi động lại';
+                    interrupted.push(recording);
+                }
+                this.recordings.set(recording.id, recording);
+            });
+        } catch (error) {
+            console.error('Error loading live recordings:', error);
+        }
+        
+        // Not awaited: getRecordings waits for this load, not for the saves
+        interrupted.forEach(recording => this.finishRecording(recording));
+    }
+
+    // The piece list is what finishRecording needs after a restart; the
+    // popup gets the summaries only
+    async saveRecordings() {
+        try {
+            const stored = this.summarizeRecordings().map(summary => {
+                const recording = this.recordings.get(summary.id);
+                return { ...summary, pieces: recording.pieces, inits: recording.inits };
+            });
+            await chrome.storage.session.set({ [LIVE_RECORDINGS_KEY]: stored });
+        } catch (error) {
+            console.error('Error saving live recordings:', error);
+        }
+    }
+
+    async recordLiveHLS(video, recording) {
+        const renditions = [];
+        const initByKey = new Map();
+        recording.checkpoint = new StreamCheckpoint(this, recording.id);
+        recording.initIndexes = new Map(); // init data -> checkpoint index
+        const scope = this.headerReplay.createScope(video.tabId);
+        
+        try {
+            const { playlist, audio, playlistUrl, audioUrl } = await this.loadHlsRenditions(video.url, video.variantId, video.audioLanguage,
+                scope);
+            const drm = playlist.drm || (audio && audio.drm);
+            if (drm) {
+                throw new Error(drm);
+            }
+            renditions.push({ url: playlistUrl, playlist: playlist, nextSequence: null });
+            if (audio) {
+                renditions.push({ url: audioUrl, playlist: audio, nextSequence: null });
+            }
+            
+            let failures = 0;
+            while (!recording.stopRequested) {
+                let added = 0;
+                let ended = false;
+                let targetDuration = 0;
+                
+                try {
+                    for (const rendition of renditions) {
+                        if (!rendition.playlist) {
+                            const { text, url } = await this.fetchText(rendition.url, scope);
+                            rendition.playlist = this.parseM3U8(text, url);
+                        }
+                        added += await this.collectLiveSegments(rendition, renditions.indexOf(rendition), recording, initByKey,
+                            scope);
+                    }
+                    
+                    // The video playlist decides when the stream is over
+                    ended = renditions[0].playlist.endList;
+                    targetDuration = renditions[0].playlist.targetDuration;
+                    failures = 0;
+                } catch (error) {
+                    if (++failures >= LIVE_MAX_FAILURES) {
+                        throw error;
+                    }
+                    console.warn('Live playlist refresh failed, retrying:', error);
+                }
+                renditions.forEach(rendition => {
+                    rendition.playlist = null;
+                });
+                await this.saveRecordings();
+                
+                if (ended || this.recordingLimitReached(recording)) {
+                    break;
+                }
+                
+                // Poll once per target duration, twice as often when the
+                // playlist had nothing new
+                const interval = (targetDuration || 6) * 1000;
+                await this.waitForNextPoll(recording, added > 0 ? interval : interval / 2);
+            }
+        } catch (error) {
+            console.error('Live recording error:', error);
+            recording.error = error.message;
+        } finally {
+            await this.headerReplay.release(scope);
+        }
+        
+        // Whatever was recorded is saved, even after an error
+        await this.finishRecording(recording);
+    }
+
+    // Read the recorded segments back from the checkpoint and save them as
+    // one file; the checkpoint goes away either way
+    async finishRecording(recording) {
+        recording.status = 'saving';
+        await this.saveRecordings();
+        
+        try {
+            const checkpoint = recording.checkpoint || await new StreamCheckpoint(this, recording.id).load();
+            const inits = [];
+            for (let index = 0; index < recording.inits; index++) {
+                inits.push(await checkpoint.readStoredSegment(LIVE_INIT_STAGE, index));
+            }
+            
+            const renditions = [];
+            for (const [stage, refs] of recording.pieces.entries()) {
+                const pieces = [];
+                for (const [index, [initIndex, discontinuity]] of refs.entries()) {
+                    const data = await checkpoint.readStoredSegment(stage, index);
+                    if (data) {
+                        pieces.push({ data: data, init: initIndex >= 0 ? inits[initIndex] : null, discontinuity: Boolean(discontinuity) });
+                    }
+                }
+                renditions.push(pieces);
+            }
+            if (renditions[0].length === 0) {
+                throw new Error(recording.error || 'Chưa ghi được segment nào');
+            }
+            
+            const output = this.assembleRenditions(renditions[0], renditions[1].length > 0 ? renditions[1] : null, 'ts');
+            const blob = new Blob(output.parts, { type: output.mimeType });
+            recording.downloadId = await this.saveBlob(blob, this.generateFilename(recording, output.extension));
+            recording.status = 'done';
+            
+            this.showStreamingNotification(recording, 'HLS (live)', recording.segments);
+        } catch (error) {
+            console.error('Saving live recording failed:', error);
+            recording.status = 'error';
+            recording.error = error.message;
+        }
+        
+        try {
+            await this.discardCheckpoint(recording.id);
+        } catch (error) {
+            console.warn('Could not discard recording checkpoint:', error);
+        }
+        recording.checkpoint = null;
+        recording.pieces = [[], []];
+        recording.inits = 0;
+        await this.saveRecordings();
+    }
+
+    // Add the segments this playlist refresh brought, by media sequence
+    // number, to the checkpoint; returns how many were new. stage is the
+    // rendition's index, 0 for the video playlist.
+    async collectLiveSegments(rendition, stage, recording, initByKey, scope = null) {
+        const playlist = rendition.playlist;
+        if (playlist.drm) {
+            throw new Error(playlist.drm);
+        }
+        if (playlist.segments.length === 0) {
+            return 0;
+        }
+        
+        // First refresh: start near the live edge, as players do
+        if (rendition.nextSequence === null) {
+            const start = playlist.endList ? 0 : Math.max(0, playlist.segments.length - LIVE_START_SEGMENTS);
+            rendition.nextSequence = playlist.segments[start].sequence;
+        }
+        
+        const fresh = playlist.segments.filter(segment => segment.sequence >= rendition.nextSequence);
+        if (fresh.length === 0) {
+            return 0;
+        }
+        if (fresh[0].sequence > rendition.nextSequence) {
+            console.warn(`Live playlist moved past ${fresh[0].sequence - rendition.nextSequence} segments before they were fetched`);
+        }
+        
+        const pieces = await this.fetchPieces(fresh, initByKey, { scope: scope });
+        const refs = recording.pieces[stage];
+        for (const [index, piece] of pieces.entries()) {
+            let initIndex = -1;
+            if (piece.init) {
+                if (!recording.initIndexes.has(piece.init)) {
+                    recording.initIndexes.set(piece.init, recording.inits);
+                    await recording.checkpoint.writeSegment(LIVE_INIT_STAGE, recording.inits, fresh[index].init, piece.init);
+                    recording.inits++;
+                }
+                initIndex = recording.initIndexes.get(piece.init);
+            }
+            
+            await recording.checkpoint.writeSegment(stage, refs.length, fresh[index], piece.data);
+            refs.push([initIndex, piece.discontinuity ? 1 : 0]);
+            recording.bytes += piece.data.byteLength;
+        }
+        rendition.nextSequence = fresh[fresh.length - 1].sequence + 1;
+        
+        if (stage === 0) {
+            recording.segments += fresh.length;
+            recording.duration += fresh.reduce((total, segment) => total + segment.duration, 0);
+        }
+        return fresh.length;
+    }
+
+    recordingLimitReached(recording) {
+        return (recording.maxDuration > 0 && recording.duration >= recording.maxDuration) ||
+            (recording.maxSize > 0 && recording.bytes >= recording.maxSize);
+    }
+
+    // Sleep until the next poll; Stop wakes it early. The extension API
+    // call keeps the service worker alive between polls.
+    async waitForNextPoll(recording, delay) {
+        await chrome.runtime.getPlatformInfo();
+        
+        await new Promise(resolve => {
+            const timer = setTimeout(resolve, delay);
+            recording.wake = () => {
+                clearTimeout(timer);
+                resolve();
+            };
+        });
+        recording.wake = null;
+    }
+
+    async downloadDASH(video, task = null) {
+        try {
+            // Fetch and parse the DASH manifest
+            const scope = task ? task.scope : null;
+            const { text, url } = await this.fetchText(video.url, scope);
+            const manifest = this.parseMPD(text, url);
+            
+            // One video and one audio representation per period
+            const segments = [];
+            const audioSegments = [];
+            for (const period of manifest.periods) {
+                const representation = this.selectRepresentation(period.representations, 'video', video.variantId);
+                if (!representation) continue;
+                await this.addRepresentationSegments(segments, representation, scope);
+                
+                const audio = this.selectAudioRepresentation(period.representations, video.audioLanguage);
+                if (audio) {
+                    await this.addRepresentationSegments(audioSegments, audio, scope);
+                }
+            }
+            
+            if (segments.length === 0) {
+                throw new Error('Manifest DASH không chứa segment nào');
+            }
+            
+            const output = await this.downloadRenditions(segments, audioSegments, 'mp4', task);
+            const blob = new Blob(output.parts, { type: output.mimeType });
+            const downloadId = await this.saveBlob(blob, this.generateFilename(video, output.extension));
+            
+            this.showStreamingNotification(video, 'DASH', segments.length);
+            
+            return { 
+                success: true, 
+                format: 'DASH', 
+                segments: segments.length,
+                size: blob.size,
+                downloadId: downloadId,
+                message: 'DASH stream downloaded'
+            };
+        } catch (error) {
+            console.error('DASH download error:', error);
+            throw error;
+        }
+    }
+
+    // Each segment names its init segment, and a new period starts a new
+    // timeline
+    async addRepresentationSegments(segments, representation, scope = null) {
+        if (representation.drm) {
+            throw new Error(representation.drm);
+        }
+        
+        await this.loadSegmentIndex(representation, scope);
+        representation.segments.forEach((segment, index) => {
+            segments.push({
+                ...segment,
+                init: representation.initSegment,
+                discontinuity: index === 0 && segments.length > 0
+            });
+        });
+    }
+
+    // Pick the requested representation, else the highest bandwidth one
+    selectRepresentation(representations, contentType, preferredId) {
+        const candidates = representations.filter(rep => rep.contentType === contentType);
+        if (candidates.length === 0) return null;
+        
+        return candidates.find(rep => rep.id === preferredId) ||
+            candidates.reduce((best, rep) => rep.bandwidth > best.bandwidth ? rep : best);
+    }
+
+    // Best audio representation in the requested language, else the best
+    // one overall
+    selectAudioRepresentation(representations, language) {
+        const candidates = representations.filter(rep => rep.contentType === 'audio');
+        const matching = candidates.filter(rep => this.matchesLanguage(rep.lang, language));
+        const pool = matching.length > 0 ? matching : candidates;
+        if (pool.length === 0) return null;
+        
+        return pool.reduce((best, rep) => rep.bandwidth > best.bandwidth ? rep : best);
+    }
+
+    // "en" matches "en-US" and the other way round
+    matchesLanguage(language, wanted) {
+        if (!language || !wanted) return false;
+        
+        const a = language.toLowerCase();
+        const b = wanted.toLowerCase();
+        return a === b || a.startsWith(b + '-') || b.startsWith(a + '-');
+    }
+
+    // Save one subtitle track (<track>, HLS or DASH) as .vtt or .srt
+    async downloadSubtitle(video, subtitle, format = 'vtt', scope = null) {
+        try {
+            const converter = new SubtitleConverter();
+            const cues = await this.loadSubtitleCues(subtitle, converter, scope);
+            if (cues.length === 0) {
+                throw new Error('Phụ đề không có nội dung');
+            }
+            
+            const isSrt = format === 'srt';
+            const text = isSrt ? converter.toSrt(cues) : converter.toVtt(cues);
+            const blob = new Blob([text], { type: isSrt ? 'application/x-subrip' : 'text/vtt' });
+            const suffix = subtitle.language ? `${this.sanitizeFilename(subtitle.language)}.${format}` : format;
+            
+            return await this.saveBlob(blob, this.generateFilename(video, suffix));
+        } catch (error) {
+            console.error('Subtitle download error:', error);
+            throw error;
+        }
+    }
+
+    async loadSubtitleCues(subtitle, converter, scope = null) {
+        if (subtitle.source === 'hls') {
+            // Segmented WebVTT: join segments using their X-TIMESTAMP-MAP
+            const { text, url } = await this.fetchText(subtitle.url, scope);
+            const playlist = this.parseM3U8(text, url);
+            const parts = await this.fetchSegments(playlist.segments, { scope: scope });
+            const decoder = new TextDecoder();
+            return converter.joinSegments(parts.map(part => decoder.decode(part)));
+        }
+        
+        if (subtitle.source === 'dash') {
+            // Same representation in every period, shifted by period start
+            const { text, url } = await this.fetchText(subtitle.url, scope);
+            const manifest = this.parseMPD(text, url);
+            const decoder = new TextDecoder();
+            const cues = [];
+            
+            for (const period of manifest.periods) {
+                const representation = period.representations.find(rep => rep.id === subtitle.id);
+                if (!representation) continue;
+                
+                await this.loadSegmentIndex(representation, scope);
+                const parts = await this.fetchSegments(representation.segments, { scope: scope });
+                converter.joinSegments(parts.map(part => decoder.decode(part))).forEach(cue => {
+                    cues.push({ ...cue, start: cue.start + period.start, end: cue.end + period.start });
+                });
+            }
+            return converter.normalizeCues(cues);
+        }
+        
+        // A <track> element points at a single WebVTT file
+        const { text } = await this.fetchText(subtitle.url, scope);
+        return converter.normalizeCues(converter.parse(text).cues);
+    }
+
+    async downloadDirect(video, scope = null) {
+        try {
+            return await this.downloadVideo(video.url, video.title || 'streaming_video', scope);
+        } catch (error) {
+            console.error('Direct download error:', error);
+            throw error;
+        }
+    }
+
+    async fetchText(url, scope = null) {
+        const response = await this.fetchMedia(url, {}, scope);
+        if (!response.ok) {
+            throw new Error(`Không thể tải ${url}: HTTP ${response.status}`);
+        }
+        // Relative URIs resolve against the final URL after redirects
+        return { text: await response.text(), url: response.url || url };
+    }
+
+    // Load the media playlist for the chosen variant (or the best one) and,
+    // when the variant's audio lives in its own rendition, that playlist too
+    async loadHlsRenditions(url, variantId, audioLanguage, scope = null) {
+        const { text, url: finalUrl } = await this.fetchText(url, scope);
+        const master = this.parseM3U8(text, finalUrl);
+        
+        if (!master.isMaster) {
+            return { playlist: master, audio: null, playlistUrl: finalUrl, audioUrl: null };
+        }
+        
+        const variant = master.variants.find(item => item.id === variantId) || this.pickBestVariant(master.variants);
+        if (!variant) {
+            throw new Error('Master playlist không có variant nào');
+        }
+        console.log('Using HLS variant:', variant);
+        
+        const media = await this.fetchText(variant.url, scope);
+        const playlist = this.parseM3U8(media.text, media.url);
+        
+        // A rendition without URI is already muxed into the variant
+        const rendition = this.pickAudioRendition(master.media, variant.audioGroup, audioLanguage);
+        if (!rendition || !rendition.url || rendition.url === variant.url) {
+            return { playlist: playlist, audio: null, playlistUrl: media.url, audioUrl: null };
+        }
+        console.log('Using HLS audio rendition:', rendition);
+        
+        const audioText = await this.fetchText(rendition.url, scope);
+        return {
+            playlist: playlist,
+            audio: this.parseM3U8(audioText.text, audioText.url),
+            playlistUrl: media.url,
+            audioUrl: audioText.url
+        };
+    }
+
+    // Within the variant's audio group: the requested language, else the
+    // DEFAULT rendition, else the first one
+    pickAudioRendition(media, groupId, language) {
+        if (!groupId) return null;
+        
+        const group = media.filter(item => item.type === 'AUDIO' && item.groupId === groupId);
+        return group.find(item => this.matchesLanguage(item.language, language)) ||
+            group.find(item => item.isDefault) ||
+            group[0] ||
+            null;
+    }
+
+    pickBestVariant(variants) {
+        return variants.reduce((best, variant) => {
+            return !best || variant.bandwidth > best.bandwidth ? variant : best;
+        }, null);
+    }
+
+    async getStreamInfo(url, scope = null) {
+        const format = this.detectStreamingFormat(url);
+        
+        if (format === 'HLS') {
+            const { text, url: finalUrl } = await this.fetchText(url, scope);
+            const playlist = this.parseM3U8(text, finalUrl);
+            
+            // Keys and ENDLIST live in the media playlists; check the best variant
+            let media = playlist;
+            if (playlist.isMaster && playlist.variants.length > 0) {
+                const variant = await this.fetchText(playlist.variants[0].url, scope);
+                media = this.parseM3U8(variant.text, variant.url);
+            }
+            const drm = playlist.drm || media.drm;
+            
+            return {
+                format: 'HLS',
+                isMaster: playlist.isMaster,
+                variants: playlist.variants,
+                audioTracks: this.listAudioTracks(playlist.media
+                    .filter(item => item.type === 'AUDIO')
+                    .map(item => ({ language: item.language, name: item.name }))),
+                subtitles: this.listSubtitleRenditions(playlist.media),
+                live: !media.isMaster && !media.endList,
+                targetDuration: media.targetDuration,
+                segments: playlist.segments.length,
+                drm: drm
+            };
+        }
+        
+        if (format === 'DASH') {
+            const { text, url: finalUrl } = await this.fetchText(url, scope);
+            const manifest = this.parseMPD(text, finalUrl);
+            const representations = manifest.periods.length > 0 ? manifest.periods[0].representations : [];
+            const video = representations
+                .filter(rep => rep.contentType === 'video')
+                .sort((a, b) => b.bandwidth - a.bandwidth);
+            
             return {
-                accessible: true,
-                status: response.status,
-                headers: response.headers
+                format: 'DASH',
+                isMaster: video.length > 1,
+                variants: video.map(rep => ({
+                    id: rep.id,
+                    url: null,
+                    bandwidth: rep.bandwidth,
+                    resolution: rep.width && rep.height ? { width: rep.width, height: rep.height } : null,
+                    codecs: rep.codecs,
+                    frameRate: rep.frameRate
+                })),
+                audioTracks: this.listAudioTracks(representations
+                    .filter(rep => rep.contentType === 'audio')
+                    .map(rep => ({ language: rep.lang, name: rep.lang }))),
+                subtitles: representations
+                    .filter(rep => rep.contentType === 'text' && this.isWebVttRepresentation(rep))
+                    .map(rep => ({
+                        source: 'dash',
+                        id: rep.id,
+                        url: finalUrl,
+                        language: rep.lang,
+                        label: rep.lang || rep.id,
+                        kind: 'subtitles'
+                    })),
+                segments: representations.reduce((total, rep) => total + rep.segments.length, 0),
+                drm: (video.find(rep => rep.drm) || {}).drm || null
+            };
+        }
+        
+        return { format: format, isMaster: false, variants: [], audioTracks: [], subtitles: [], segments: 0, drm: null };
+    }
+
+    // Subtitle renditions of a master playlist; the same rendition is
+    // often repeated once per group
+    listSubtitleRenditions(media) {
+        const seen = new Set();
+        
+        return media
+            .filter(item => {
+                if (item.type !== 'SUBTITLES' || !item.url || seen.has(item.url)) return false;
+                seen.add(item.url);
+                return true;
+            })
+            .map(item => ({
+                source: 'hls',
+                id: item.url,
+                url: item.url,
+                language: item.language,
+                label: item.name || item.language,
+                kind: item.characteristics.includes('describes-music-and-sound') ? 'captions' : 'subtitles'
+            }));
+    }
+
+    // Plain WebVTT only; TTML and WebVTT inside MP4 are not converted
+    isWebVttRepresentation(representation) {
+        return representation.mimeType === 'text/vtt' || /\.vtt($|\?)/.test(representation.baseUrl || '');
+    }
+
+    // One entry per language; renditions are often repeated per group
+    listAudioTracks(tracks) {
+        const seen = new Set();
+        return tracks.filter(track => {
+            if (!track.language || seen.has(track.language)) return false;
+            seen.add(track.language);
+            return true;
+        });
+    }
+
+    parseM3U8(playlistText, baseUrl) {
+        const lines = playlistText.split(/\r?\n/);
+        const playlist = {
+            isMaster: false,
+            variants: [],
+            media: [],
+            segments: [],
+            targetDuration: 0,
+            mediaSequence: 0,
+            endList: false,
+            drm: null
+        };
+        
+        let pendingVariant = null;
+        let segmentDuration = 0;
+        let currentKey = null;
+        let currentMap = null;
+        let byteRange = null;
+        let discontinuity = false;
+        const rangeEnds = new Map(); // URL -> end of the last byte range
+        
+        for (let i = 0; i < lines.length; i++) {
+            const line = lines[i].trim();
+            if (!line) continue;
+            
+            if (line.startsWith('#')) {
+                const colon = line.indexOf(':');
+                const tag = colon === -1 ? line : line.substring(0, colon);
+                const value = colon === -1 ? '' : line.substring(colon + 1);
+                
+                switch (tag) {
+                    case '#EXT-X-STREAM-INF':
+                        playlist.isMaster = true;
+                        pendingVariant = this.parseVariantAttributes(this.parseAttributeList(value));
+                        break;
+                    case '#EXT-X-MEDIA':
+                        playlist.media.push(this.parseMediaAttributes(this.parseAttributeList(value), baseUrl));
+                        break;
+                    case '#EXTINF':
+                        segmentDuration = parseFloat(value) || 0;
+                        break;
+                    case '#EXT-X-TARGETDURATION':
+                        playlist.targetDuration = parseFloat(value) || 0;
+                        break;
+                    case '#EXT-X-MEDIA-SEQUENCE':
+                        playlist.mediaSequence = parseInt(value, 10) || 0;
+                        break;
+                    case '#EXT-X-ENDLIST':
+                        playlist.endList = true;
+                        break;
+                    case '#EXT-X-DISCONTINUITY':
+                        discontinuity = true;
+                        break;
+                    case '#EXT-X-BYTERANGE':
+                        byteRange = value;
+                        break;
+                    case '#EXT-X-MAP': {
+                        // fMP4 init segment for every following segment
+                        const attributes = this.parseAttributeList(value);
+                        const url = this.resolveUrl(attributes.URI || '', baseUrl);
+                        currentMap = {
+                            url: url,
+                            range: attributes.BYTERANGE ? this.parseByteRange(attributes.BYTERANGE, url, rangeEnds) : null
+                        };
+                        break;
+                    }
+                    case '#EXT-X-KEY':
+                    case '#EXT-X-SESSION-KEY': {
+                        const key = this.parseKeyAttributes(this.parseAttributeList(value), baseUrl);
+                        if (key && key.drm) {
+                            playlist.drm = playlist.drm || key.drm;
+                        } else if (tag === '#EXT-X-KEY') {
+                            // A key applies to every following segment until the next key tag
+                            currentKey = key;
+                        }
+                        break;
+                    }
+                }
+                continue;
+            }
+            
+            // A URI line belongs to the preceding STREAM-INF or EXTINF tag
+            const url = this.resolveUrl(line, baseUrl);
+            
+            if (pendingVariant) {
+                pendingVariant.id = url;
+                pendingVariant.url = url;
+                playlist.variants.push(pendingVariant);
+                pendingVariant = null;
+            } else {
+                playlist.segments.push({
+                    url: url,
+                    duration: segmentDuration,
+                    sequence: playlist.mediaSequence + playlist.segments.length,
+                    key: currentKey,
+                    init: currentMap,
+                    range: byteRange ? this.parseByteRange(byteRange, url, rangeEnds) : null,
+                    discontinuity: discontinuity
+                });
+                segmentDuration = 0;
+                byteRange = null;
+                discontinuity = false;
+            }
+        }
+        
+        // Highest quality first
+        playlist.variants.sort((a, b) => b.bandwidth - a.bandwidth);
+        
+        return playlist;
+    }
+
+    // HLS byte ranges are "length[@offset]"; without an offset the range
+    // continues where the previous range of the same resource ended
+    parseByteRange(value, url, rangeEnds) {
+        const [length, offset] = value.split('@').map(part => parseInt(part, 10));
+        const start = Number.isNaN(offset) || offset === undefined ? (rangeEnds.get(url) || 0) : offset;
+        rangeEnds.set(url, start + length);
+        return `${start}-${start + length - 1}`;
+    }
+
+    // Parse an HLS attribute list: KEY=VALUE,KEY="quoted, value",...
+    parseAttributeList(text) {
+        const attributes = {};
+        const pattern = /([A-Z0-9-]+)=("[^"]*"|[^,]*)/g;
+        let match;
+        
+        while ((match = pattern.exec(text)) !== null) {
+            let value = match[2];
+            if (value.startsWith('"')) {
+                value = value.slice(1, -1);
+            }
+            attributes[match[1]] = value;
+        }
+        
+        return attributes;
+    }
+
+    parseVariantAttributes(attributes) {
+        let resolution = null;
+        if (attributes.RESOLUTION) {
+            const [width, height] = attributes.RESOLUTION.split('x').map(n => parseInt(n, 10));
+            if (width && height) {
+                resolution = { width, height };
+            }
+        }
+        
+        return {
+            id: '',
+            url: '',
+            bandwidth: parseInt(attributes.BANDWIDTH, 10) || 0,
+            averageBandwidth: parseInt(attributes['AVERAGE-BANDWIDTH'], 10) || 0,
+            resolution: resolution,
+            codecs: attributes.CODECS || '',
+            frameRate: parseFloat(attributes['FRAME-RATE']) || 0,
+            audioGroup: attributes.AUDIO || null
+        };
+    }
+
+    // Alternative renditions (#EXT-X-MEDIA): audio, subtitles, ...
+    parseMediaAttributes(attributes, baseUrl) {
+        return {
+            type: attributes.TYPE || '',
+            groupId: attributes['GROUP-ID'] || '',
+            name: attributes.NAME || '',
+            language: attributes.LANGUAGE || '',
+            isDefault: attributes.DEFAULT === 'YES',
+            autoselect: attributes.AUTOSELECT === 'YES',
+            channels: attributes.CHANNELS || '',
+            characteristics: attributes.CHARACTERISTICS || '',
+            url: attributes.URI ? this.resolveUrl(attributes.URI, baseUrl) : null
+        };
+    }
+
+    // Returns null for METHOD=NONE, a clear-key descriptor for AES-128, or
+    // { drm: reason } for schemes that need a CDM and cannot be downloaded
+    parseKeyAttributes(attributes, baseUrl) {
+        const method = attributes.METHOD || 'NONE';
+        const keyFormat = attributes.KEYFORMAT || 'identity';
+        
+        if (method === 'NONE') {
+            return null;
+        }
+        
+        if (keyFormat === 'identity' && method === 'SAMPLE-AES') {
+            return { drm: 'Stream dùng SAMPLE-AES (mã hóa từng mẫu) - chưa được hỗ trợ' };
+        }
+        
+        if (keyFormat !== 'identity' || method !== 'AES-128' || !attributes.URI) {
+            return { drm: `Stream được bảo vệ bằng DRM (${this.describeDrm(method, keyFormat, attributes.URI)}) - không thể tải xuống` };
+        }
+        
+        return {
+            method: method,
+            uri: this.resolveUrl(attributes.URI, baseUrl),
+            iv: attributes.IV ? this.parseIv(attributes.IV) : null
+        };
+    }
+
+    describeDrm(method, keyFormat, uri) {
+        const system = DRM_SYSTEMS[keyFormat.toLowerCase()] ||
+            (uri && uri.startsWith('skd:') ? 'FairPlay' : null);
+        
+        return system ? `${method}, ${system}` : method;
+    }
+
+    parseMPD(manifestText, manifestUrl) {
+        const mpd = this.xmlChild(this.parseXml(manifestText), 'MPD');
+        if (!mpd) {
+            throw new Error('Manifest DASH không hợp lệ');
+        }
+        
+        const manifest = {
+            type: mpd.attributes.type || 'static',
+            duration: this.parseIsoDuration(mpd.attributes.mediaPresentationDuration),
+            availabilityStartTime: Date.parse(mpd.attributes.availabilityStartTime) || 0,
+            timeShiftBufferDepth: this.parseIsoDuration(mpd.attributes.timeShiftBufferDepth),
+            minimumUpdatePeriod: this.parseIsoDuration(mpd.attributes.minimumUpdatePeriod),
+            periods: []
+        };
+        
+        const mpdBase = this.resolveBaseUrl(mpd, manifestUrl);
+        const periodNodes = this.xmlChildren(mpd, 'Period');
+        let nextStart = 0;
+        
+        periodNodes.forEach((periodNode, periodIndex) => {
+            const start = periodNode.attributes.start !== undefined
+                ? this.parseIsoDuration(periodNode.attributes.start)
+                : nextStart;
+            
+            // Duration: explicit, else up to the next period, else to the end
+            let duration = this.parseIsoDuration(periodNode.attributes.duration);
+            const nextNode = periodNodes[periodIndex + 1];
+            if (!duration && nextNode && nextNode.attributes.start !== undefined) {
+                duration = this.parseIsoDuration(nextNode.attributes.start) - start;
+            }
+            if (!duration && manifest.duration) {
+                duration = manifest.duration - start;
+            }
+            nextStart = start + duration;
+            
+            const period = {
+                id: periodNode.attributes.id || String(periodIndex),
+                start: start,
+                duration: duration,
+                representations: []
+            };
+            
+            const periodBase = this.resolveBaseUrl(periodNode, mpdBase);
+            const periodInfo = this.readSegmentInfo(periodNode, {});
+            
+            for (const setNode of this.xmlChildren(periodNode, 'AdaptationSet')) {
+                const setBase = this.resolveBaseUrl(setNode, periodBase);
+                const setInfo = this.readSegmentInfo(setNode, periodInfo);
+                const setDrm = this.describeContentProtection(setNode);
+                
+                for (const repNode of this.xmlChildren(setNode, 'Representation')) {
+                    // Common attributes may be set on the AdaptationSet
+                    const attr = name => repNode.attributes[name] !== undefined
+                        ? repNode.attributes[name]
+                        : setNode.attributes[name];
+                    
+                    const representation = {
+                        id: repNode.attributes.id || '',
+                        periodIndex: periodIndex,
+                        contentType: this.getContentType(setNode, attr('mimeType'), attr('codecs')),
+                        mimeType: attr('mimeType') || '',
+                        codecs: attr('codecs') || '',
+                        bandwidth: parseInt(repNode.attributes.bandwidth, 10) || 0,
+                        width: parseInt(attr('width'), 10) || 0,
+                        height: parseInt(attr('height'), 10) || 0,
+                        frameRate: this.parseFrameRate(attr('frameRate')),
+                        lang: setNode.attributes.lang || '',
+                        drm: setDrm || this.describeContentProtection(repNode),
+                        baseUrl: this.resolveBaseUrl(repNode, setBase),
+                        initSegment: null,
+                        segments: [],
+                        indexRange: null
+                    };
+                    
+                    this.buildSegments(representation, this.readSegmentInfo(repNode, setInfo), period, manifest);
+                    period.representations.push(representation);
+                }
+            }
+            
+            manifest.periods.push(period);
+        });
+        
+        return manifest;
+    }
+
+    // SegmentBase/SegmentList/SegmentTemplate inherit from Period to
+    // AdaptationSet to Representation; the deepest element sets the kind
+    readSegmentInfo(node, inherited) {
+        const info = { ...inherited };
+        
+        for (const kind of ['SegmentBase', 'SegmentList', 'SegmentTemplate']) {
+            const child = this.xmlChild(node, kind);
+            if (!child) continue;
+            
+            const parent = inherited[kind] || {};
+            const initNode = this.xmlChild(child, 'Initialization');
+            const timelineNode = this.xmlChild(child, 'SegmentTimeline');
+            const segmentUrls = this.xmlChildren(child, 'SegmentURL');
+            
+            info[kind] = {
+                attributes: { ...(parent.attributes || {}), ...child.attributes },
+                initialization: initNode ? initNode.attributes : parent.initialization || null,
+                timeline: timelineNode
+                    ? this.xmlChildren(timelineNode, 'S').map(s => s.attributes)
+                    : parent.timeline || null,
+                segmentUrls: segmentUrls.length > 0
+                    ? segmentUrls.map(s => s.attributes)
+                    : parent.segmentUrls || []
             };
+            info.kind = kind;
+        }
+        
+        return info;
+    }
+
+    buildSegments(representation, info, period, manifest) {
+        const baseUrl = representation.baseUrl;
+        
+        if (info.kind === 'SegmentTemplate') {
+            this.buildTemplateSegments(representation, info.SegmentTemplate, period, manifest);
+        } else if (info.kind === 'SegmentList') {
+            const list = info.SegmentList;
+            const timescale = parseInt(list.attributes.timescale, 10) || 1;
+            const duration = (parseInt(list.attributes.duration, 10) || 0) / timescale;
+            
+            if (list.initialization) {
+                representation.initSegment = {
+                    url: this.resolveUrl(list.initialization.sourceURL || '', baseUrl),
+                    range: list.initialization.range || null
+                };
+            }
+            
+            representation.segments = list.segmentUrls.map((segment, index) => ({
+                url: this.resolveUrl(segment.media || '', baseUrl),
+                range: segment.mediaRange || null,
+                duration: list.timeline && list.timeline[index]
+                    ? (parseInt(list.timeline[index].d, 10) || 0) / timescale
+                    : duration
+            }));
+        } else if (info.kind === 'SegmentBase') {
+            const base = info.SegmentBase;
+            const indexRange = base.attributes.indexRange || null;
+            
+            // Initialization defaults to everything before the sidx box
+            let initRange = base.initialization ? base.initialization.range : null;
+            if (!initRange && indexRange) {
+                initRange = `0-${parseInt(indexRange, 10) - 1}`;
+            }
+            if (initRange) {
+                representation.initSegment = {
+                    url: base.initialization && base.initialization.sourceURL
+                        ? this.resolveUrl(base.initialization.sourceURL, baseUrl)
+                        : baseUrl,
+                    range: initRange
+                };
+            }
+            
+            // Media ranges come from the sidx box, see loadSegmentIndex
+            representation.indexRange = indexRange;
+            if (!indexRange) {
+                representation.segments = [{ url: baseUrl, range: null, duration: period.duration }];
+            }
+        } else {
+            // A plain BaseURL is a single self-contained file
+            representation.segments = [{ url: baseUrl, range: null, duration: period.duration }];
+        }
+    }
+
+    buildTemplateSegments(representation, template, period, manifest) {
+        const attributes = template.attributes;
+        const timescale = parseInt(attributes.timescale, 10) || 1;
+        const startNumber = attributes.startNumber !== undefined ? parseInt(attributes.startNumber, 10) : 1;
+        const offset = parseInt(attributes.presentationTimeOffset, 10) || 0;
+        const values = { RepresentationID: representation.id, Bandwidth: representation.bandwidth };
+        const baseUrl = representation.baseUrl;
+        
+        const initialization = attributes.initialization ||
+            (template.initialization && template.initialization.sourceURL);
+        if (initialization) {
+            representation.initSegment = {
+                url: this.resolveUrl(this.expandTemplate(initialization, values), baseUrl),
+                range: null
+            };
+        }
+        
+        if (!attributes.media) return;
+        
+        const addSegment = (number, time, duration) => {
+            representation.segments.push({
+                url: this.resolveUrl(this.expandTemplate(attributes.media, { ...values, Number: number, Time: time }), baseUrl),
+                range: null,
+                duration: duration / timescale,
+                number: number,
+                time: time
+            });
+        };
+        
+        if (template.timeline) {
+            // $Time$ addressing: S@t starts a run, S@r repeats it (-1 = until the next S or period end)
+            let time = 0;
+            let number = startNumber;
+            
+            template.timeline.forEach((entry, index) => {
+                const duration = parseInt(entry.d, 10) || 0;
+                if (entry.t !== undefined) {
+                    time = parseInt(entry.t, 10);
+                }
+                if (!duration) return;
+                
+                let repeat = parseInt(entry.r, 10) || 0;
+                if (repeat < 0) {
+                    const next = template.timeline[index + 1];
+                    const end = next && next.t !== undefined
+                        ? parseInt(next.t, 10)
+                        : offset + period.duration * timescale;
+                    repeat = Math.max(0, Math.ceil((end - time) / duration) - 1);
+                }
+                
+                for (let i = 0; i <= repeat; i++) {
+                    addSegment(number++, time, duration);
+                    time += duration;
+                }
+            });
+            return;
+        }
+        
+        // $Number$ addressing with a fixed segment duration
+        const duration = parseInt(attributes.duration, 10) || 0;
+        if (!duration) return;
+        
+        let firstNumber = startNumber;
+        let count = Math.ceil(period.duration * timescale / duration);
+        
+        if (manifest.type === 'dynamic') {
+            // Live: only the segments already available inside the time-shift window
+            const elapsed = (Date.now() - manifest.availabilityStartTime) / 1000 - period.start;
+            const available = Math.max(0, Math.floor(elapsed * timescale / duration));
+            const window = manifest.timeShiftBufferDepth
+                ? Math.ceil(manifest.timeShiftBufferDepth * timescale / duration)
+                : available;
+            
+            count = Math.min(available, window);
+            firstNumber = startNumber + available - count;
+        }
+        
+        for (let i = 0; i < count; i++) {
+            const number = firstNumber + i;
+            addSegment(number, offset + (number - startNumber) * duration, duration);
+        }
+    }
+
+    expandTemplate(template, values) {
+        return template.replace(/\$\$|\$(RepresentationID|Number|Bandwidth|Time)(?:%0(\d+)d)?\$/g, (match, name, width) => {
+            if (match === '$$') return '$';
+            if (values[name] === undefined) return match;
+            
+            const value = String(values[name]);
+            return width ? value.padStart(parseInt(width, 10), '0') : value;
+        });
+    }
+
+    // SegmentBase with indexRange: read the sidx box to get media byte ranges
+    async loadSegmentIndex(representation, scope = null) {
+        if (!representation.indexRange || representation.segments.length > 0) {
+            return;
+        }
+        
+        representation.segments = await this.fetchSidxSegments(representation.baseUrl, representation.indexRange, scope);
+    }
+
+    async fetchSidxSegments(url, range, scope = null) {
+        const response = await this.fetchMedia(url, { headers: { Range: `bytes=${range}` } }, scope);
+        if (!response.ok) {
+            throw new Error(`Không thể tải segment index: HTTP ${response.status}`);
+        }
+        
+        const data = new DataView(await response.arrayBuffer());
+        const rangeStart = parseInt(range, 10);
+        const boxSize = data.getUint32(0);
+        const boxType = String.fromCharCode(data.getUint8(4), data.getUint8(5), data.getUint8(6), data.getUint8(7));
+        if (boxType !== 'sidx') {
+            throw new Error('indexRange không trỏ tới hộp sidx');
+        }
+        
+        const version = data.getUint8(8);
+        const timescale = data.getUint32(16);
+        let position = 20;
+        let firstOffset;
+        if (version === 0) {
+            firstOffset = data.getUint32(position + 4);
+            position += 8;
+        } else {
+            firstOffset = Number(data.getBigUint64(position + 8));
+            position += 16;
+        }
+        const referenceCount = data.getUint16(position + 2);
+        position += 4;
+        
+        // Offsets are relative to the first byte after the sidx box
+        let offset = rangeStart + boxSize + firstOffset;
+        const segments = [];
+        
+        for (let i = 0; i < referenceCount; i++) {
+            const reference = data.getUint32(position);
+            const referencedSize = reference & 0x7fffffff;
+            const duration = data.getUint32(position + 4) / timescale;
+            const segmentRange = `${offset}-${offset + referencedSize - 1}`;
+            
+            if (reference >>> 31) {
+                // Hierarchical index: the reference is another sidx
+                segments.push(...await this.fetchSidxSegments(url, segmentRange, scope));
+            } else {
+                segments.push({ url: url, range: segmentRange, duration: duration });
+            }
+            
+            offset += referencedSize;
+            position += 12;
+        }
+        
+        return segments;
+    }
+
+    getContentType(setNode, mimeType, codecs) {
+        const type = setNode.attributes.contentType || (mimeType || '').split('/')[0];
+        
+        if (type === 'text' || /^(stpp|wvtt)/.test(codecs || '')) {
+            return 'text';
+        }
+        if (type === 'application' && /vtt|ttml/.test(mimeType)) {
+            return 'text';
+        }
+        return type === 'audio' || type === 'video' ? type : 'video';
+    }
+
+    describeContentProtection(node) {
+        const protections = this.xmlChildren(node, 'ContentProtection');
+        if (protections.length === 0) {
+            return null;
+        }
+        
+        const systems = protections
+            .map(protection => DRM_SYSTEMS[(protection.attributes.schemeIdUri || '').toLowerCase()])
+            .filter(Boolean);
+        const name = systems.length > 0 ? [...new Set(systems)].join(', ') : 'CENC';
+        
+        return `Stream được bảo vệ bằng DRM (${name}) - không thể tải xuống`;
+    }
+
+    resolveBaseUrl(node, parentUrl) {
+        const baseNode = this.xmlChild(node, 'BaseURL');
+        const base = baseNode ? baseNode.text.trim() : '';
+        return base ? this.resolveUrl(base, parentUrl) : parentUrl;
+    }
+
+    parseFrameRate(value) {
+        if (!value) return 0;
+        const [numerator, denominator] = String(value).split('/').map(Number);
+        return denominator ? numerator / denominator : numerator || 0;
+    }
+
+    // ISO 8601 durations as used by MPD attributes, e.g. PT1H2M3.5S
+    parseIsoDuration(value) {
+        if (!value) return 0;
+        
+        const match = /^P(?:([\d.]+)Y)?(?:([\d.]+)M)?(?:([\d.]+)D)?(?:T(?:([\d.]+)H)?(?:([\d.]+)M)?(?:([\d.]+)S)?)?$/.exec(value.trim());
+        if (!match) return 0;
+        
+        const [, years, months, days, hours, minutes, seconds] = match.map(part => parseFloat(part) || 0);
+        return years * 31536000 + months * 2592000 + days * 86400 + hours * 3600 + minutes * 60 + seconds;
+    }
+
+    // Minimal XML reader for manifests: service workers have no DOMParser.
+    // Nodes are { name, attributes, children, text }.
+    parseXml(text) {
+        const root = { name: '#document', attributes: {}, children: [], text: '' };
+        const stack = [root];
+        const source = text
+            .replace(/<\?[\s\S]*?\?>/g, '')
+            .replace(/<!--[\s\S]*?-->/g, '')
+            .replace(/<!DOCTYPE[^>]*>/gi, '');
+        const pattern = /<!\[CDATA\[([\s\S]*?)\]\]>|<(\/?)([^\s>\/]+)((?:[^>"']|"[^"]*"|'[^']*')*?)(\/?)>|([^<]+)/g;
+        let match;
+        
+        while ((match = pattern.exec(source)) !== null) {
+            const parent = stack[stack.length - 1];
+            
+            if (match[1] !== undefined) {
+                parent.text += match[1];
+            } else if (match[6] !== undefined) {
+                parent.text += this.decodeXmlEntities(match[6]);
+            } else if (match[2]) {
+                // Close the matching element, tolerating stray end tags
+                for (let i = stack.length - 1; i > 0; i--) {
+                    if (stack[i].name === match[3]) {
+                        stack.length = i;
+                        break;
+                    }
+                }
+            } else {
+                const node = {
+                    name: match[3],
+                    attributes: this.parseXmlAttributes(match[4]),
+                    children: [],
+                    text: ''
+                };
+                parent.children.push(node);
+                if (!match[5]) {
+                    stack.push(node);
+                }
+            }
+        }
+        
+        return root;
+    }
+
+    parseXmlAttributes(text) {
+        const attributes = {};
+        const pattern = /([^\s=]+)\s*=\s*(?:"([^"]*)"|'([^']*)')/g;
+        let match;
+        
+        while ((match = pattern.exec(text)) !== null) {
+            const value = match[2] !== undefined ? match[2] : match[3];
+            attributes[match[1]] = this.decodeXmlEntities(value);
+        }
+        
+        return attributes;
+    }
+
+    decodeXmlEntities(text) {
+        const entities = { amp: '&', lt: '<', gt: '>', quot: '"', apos: "'" };
+        return text.replace(/&(#x[0-9a-f]+|#\d+|\w+);/gi, (match, entity) => {
+            if (entity[0] === '#') {
+                const code = entity[1].toLowerCase() === 'x'
+                    ? parseInt(entity.slice(2), 16)
+                    : parseInt(entity.slice(1), 10);
+                return String.fromCodePoint(code);
+            }
+            return entities[entity] !== undefined ? entities[entity] : match;
+        });
+    }
+
+    // Element lookup by local name, ignoring namespace prefixes
+    xmlChildren(node, name) {
+        return node.children.filter(child => child.name === name || child.name.endsWith(`:${name}`));
+    }
+
+    xmlChild(node, name) {
+        return this.xmlChildren(node, name)[0] || null;
+    }
+
+    resolveUrl(url, baseUrl) {
+        try {
+            return new URL(url, baseUrl).href;
+        } catch {
+            return url;
+        }
+    }
+
+    // Save generated data through chrome.downloads. Service workers cannot
+    // create blob URLs, so the blob is handed to the offscreen document.
+    async saveBlob(blob, filename) {
+        return this.downloadBlobUrl(await this.createBlobUrl(blob), filename);
+    }
+
+    // Data that is already in IndexedDB (checkpoint chunks) is joined into
+    // a blob by the offscreen document, so it never passes through the
+    // worker's memory
+    async saveStoredChunks(storeName, keys, type, filename) {
+        await this.ensureOffscreenDocument();
+        const response = await chrome.runtime.sendMessage({
+            target: 'offscreen',
+            action: 'createStoredBlobUrl',
+            storeName: storeName,
+            keys: keys,
+            type: type
+        });
+        if (!response || !response.url) {
+            throw new Error(response?.error || 'Không thể tạo blob URL');
+        }
+        
+        // Nothing to delete from the blobs store when it is revoked
+        return this.downloadBlobUrl({ url: response.url, key: `stored_${Date.now()}` }, filename);
+    }
+
+    async downloadBlobUrl(blobUrl, filename) {
+        try {
+            const downloadId = await chrome.downloads.download({
+                url: blobUrl.url,
+                filename: filename,
+                conflictAction: 'uniquify',
+                saveAs: false
+            });
+            
+            // The blob URL is revoked once the download finishes
+            await this.storeDownloadInfo(downloadId, {
+                url: blobUrl.url,
+                blobKey: blobUrl.key,
+                filename: filename,
+                startTime: Date.now()
+            });
+            
+            return downloadId;
         } catch (error) {
-            console.warn('URL accessibility check failed:', error.message);
-            return {
-                accessible: false,
-                error: error.message
-            };
+            await this.revokeBlobUrl(blobUrl);
+            throw error;
+        }
+    }
+
+    async createBlobUrl(blob) {
+        if (typeof URL.createObjectURL === 'function') {
+            return { url: URL.createObjectURL(blob), key: null };
+        }
+        
+        const key = `blob_${Date.now()}_${Math.random().toString(36).slice(2)}`;
+        await this.idbPut('blobs', key, blob);
+        await this.ensureOffscreenDocument();
+        
+        const response = await chrome.runtime.sendMessage({
+            target: 'offscreen',
+            action: 'createBlobUrl',
+            key: key
+        });
+        if (!response || !response.url) {
+            await this.idbDelete('blobs', key);
+            throw new Error(response?.error || 'Không thể tạo blob URL');
+        }
+        
+        return { url: response.url, key: key };
+    }
+
+    async revokeBlobUrl(blobUrl) {
+        try {
+            if (!blobUrl.key) {
+                URL.revokeObjectURL(blobUrl.url);
+                return;
+            }
+            
+            await this.ensureOffscreenDocument();
+            await chrome.runtime.sendMessage({
+                target: 'offscreen',
+                action: 'revokeBlobUrl',
+                url: blobUrl.url,
+                key: blobUrl.key
+            });
+        } catch (error) {
+            console.error('Error revoking blob URL:', error);
+        }
+    }
+
+    async ensureOffscreenDocument() {
+        const contexts = await chrome.runtime.getContexts({
+            contextTypes: ['OFFSCREEN_DOCUMENT']
+        });
+        if (contexts.length > 0) return;
+        
+        if (!this.offscreenCreating) {
+            this.offscreenCreating = chrome.offscreen.createDocument({
+                url: 'offscreen.html',
+                reasons: ['BLOBS'],
+                justification: 'Create blob URLs for joined stream downloads'
+            }).finally(() => {
+                this.offscreenCreating = null;
+            });
+        }
+        await this.offscreenCreating;
+    }
+
+    openDatabase() {
+        if (!this.dbPromise) {
+            this.dbPromise = new Promise((resolve, reject) => {
+                const request = indexedDB.open(DB_NAME, DB_VERSION);
+                request.onupgradeneeded = () => {
+                    const db = request.result;
+                    ['blobs', CHECKPOINT_STORE, CHECKPOINT_SEGMENT_STORE].forEach(name => {
+                        if (!db.objectStoreNames.contains(name)) {
+                            db.createObjectStore(name);
+                        }
+                    });
+                };
+                request.onsuccess = () => resolve(request.result);
+                request.onerror = () => {
+                    this.dbPromise = null;
+                    reject(request.error);
+                };
+            });
+        }
+        return this.dbPromise;
+    }
+
+    async idbGet(storeName, key) {
+        const db = await this.openDatabase();
+        return new Promise((resolve, reject) => {
+            const request = db.transaction(storeName, 'readonly').objectStore(storeName).get(key);
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        });
+    }
+
+    async idbPut(storeName, key, value) {
+        const db = await this.openDatabase();
+        return new Promise((resolve, reject) => {
+            const tx = db.transaction(storeName, 'readwrite');
+            tx.objectStore(storeName).put(value, key);
+            tx.oncomplete = () => resolve();
+            tx.onerror = () => reject(tx.error);
+        });
+    }
+
+    // Several puts in one transaction: [[storeName, key, value], ...]
+    async idbWrite(entries) {
+        const db = await this.openDatabase();
+        const storeNames = [...new Set(entries.map(([storeName]) => storeName))];
+        return new Promise((resolve, reject) => {
+            const tx = db.transaction(storeNames, 'readwrite');
+            entries.forEach(([storeName, key, value]) => tx.objectStore(storeName).put(value, key));
+            tx.oncomplete = () => resolve();
+            tx.onerror = () => reject(tx.error);
+        });
+    }
+
+    async idbDelete(storeName, key) {
+        const db = await this.openDatabase();
+        return new Promise((resolve, reject) => {
+            const tx = db.transaction(storeName, 'readwrite');
+            tx.objectStore(storeName).delete(key);
+            tx.oncomplete = () => resolve();
+            tx.onerror = () => reject(tx.error);
+        });
+    }
+
+    generateFilename(video, extension = 'mp4') {
+        let filename = video.title || 'video';
+        
+        // Clean filename
+        filename = this.sanitizeFilename(filename);
+        
+        // Remove existing extension
+        if (filename.includes('.')) {
+            filename = filename.substring(0, filename.lastIndexOf('.'));
+        }
+        
+        // Add new extension
+        return `${filename}.${extension}`;
+    }
+
+    sanitizeFilename(filename) {
+        if (!filename || typeof filename !== 'string') {
+            filename = `video_${Date.now()}`;
+        }
+        
+        return filename
+            .replace(/[<>:"/\\|?*]/g, '_')
+            .replace(/\s+/g, '_')
+            .trim()
+            .substring(0, 100);
+    }
+
+    showStreamingNotification(video, format, segmentCount) {
+        const message = segmentCount > 0 
+            ? `${format} stream: đã ghép ${segmentCount} segments thành một tệp video.`
+            : `${format} stream detected. Downloading manifest file.`;
+            
+        chrome.notifications.create({
+            type: 'basic',
+            iconUrl: 'icons/icon.png',
+            title: 'Video DownloadHelper',
+            message: message
+        });
+    }
+
+    isValidUrl(url) {
+        try {
+            new URL(url);
+            return true;
+        } catch {
+            return false;
+        }
+    }
+
+    // Check if URL is a blob URL
+    isBlobUrl(url) {
+        return url.startsWith('blob:');
+    }
+
+    // Check if URL is from a social media platform
+    isSocialMediaUrl(url) {
+        const socialDomains = ['facebook.com', 'youtube.com', 'instagram.com', 'tiktok.com', 'twitter.com', 'x.com'];
+        try {
+            const urlObj = new URL(url);
+            return socialDomains.some(domain => urlObj.hostname.includes(domain));
+        } catch {
+            return false;
+        }
+    }
+
+    // Check if URL is accessible
+    async checkUrlAccessibility(url, scope = null) {
+        const probe = await this.probeUrl(url, scope);
+        if (probe.error) {
+            console.warn('URL accessibility check failed:', probe.error);
+        }
+        return probe;
+    }
+
+    // Host permissions lift CORS for the extension, so the real response is
+    // visible. HEAD first, then a one-byte ranged GET for servers that
+    // reject HEAD or leave the headers out of it.
+    async probeUrl(url, scope = null) {
+        const probe = { accessible: false, status: 0, size: 0, type: '', filename: '', ranges: false, error: null };
+        
+        try {
+            const head = await this.fetchMedia(url, { method: 'HEAD', credentials: 'include' }, scope);
+            this.readProbeHeaders(head, probe);
+            probe.ranges = head.ok && head.headers.get('Accept-Ranges') === 'bytes';
+            if (head.ok && probe.ranges && probe.size > 0) {
+                return probe;
+            }
+            
+            const response = await this.fetchMedia(url, { headers: { Range: 'bytes=0-0' }, credentials: 'include' }, scope);
+            // Only the headers are needed, even if the Range was ignored
+            if (response.body) {
+                response.body.cancel();
+            }
+            this.readProbeHeaders(response, probe);
+            probe.ranges = response.status === 206;
+        } catch (error) {
+            probe.error = error.message;
+        }
+        
+        return probe;
+    }
+
+    // Fills in what the response tells; values from an earlier response
+    // stay when this one leaves them out
+    readProbeHeaders(response, probe) {
+        const headers = response.headers;
+        probe.status = response.status;
+        probe.accessible = response.ok;
+        
+        // Content-Range: bytes 0-0/12345 holds the full size of a 206
+        const total = (headers.get('Content-Range') || '').match(/\/(\d+)\s*$/);
+        const length = parseInt(headers.get('Content-Length'), 10);
+        if (total) {
+            probe.size = parseInt(total[1], 10);
+        } else if (response.status !== 206 && length > 0) {
+            probe.size = length;
+        }
+        
+        probe.type = (headers.get('Content-Type') || '').split(';')[0].trim().toLowerCase() || probe.type;
+        probe.filename = this.parseContentDisposition(headers.get('Content-Disposition')) || probe.filename;
+    }
+
+    // attachment; filename="a.mp4"; filename*=UTF-8''%C3%A1.mp4
+    parseContentDisposition(value) {
+        if (!value) return '';
+        
+        const extended = value.match(/filename\*\s*=\s*([^']*)'[^']*'([^;]+)/i);
+        if (extended) {
+            try {
+                return decodeURIComponent(extended[2].trim());
+            } catch {
+                // Fall back to the plain filename parameter
+            }
         }
+        
+        const plain = value.match(/filename\s*=\s*("([^"]*)"|[^;]+)/i);
+        return plain ? (plain[2] !== undefined ? plain[2] : plain[1].trim()) : '';
     }
 
     async storeDownloadInfo(downloadId, info) {
@@ -427,45 +2752,92 @@ class VideoDownloadHelper {
                 
             } else if (state === 'interrupted') {
                 // Get more detailed error information
-                const downloadItem = await chrome.downloads.search({id: downloadId});
-                const errorReason = downloadItem[0]?.error || 'Unknown error';
+                const [downloadItem] = await chrome.downloads.search({id: downloadId});
+                const errorReason = downloadItem?.error || 'Unknown error';
                 
                 console.error(`Download interrupted: ${downloadId}`);
                 console.error('Error reason:', errorReason);
                 console.error('Download URL:', downloadInfo?.url);
                 console.error('Filename:', downloadInfo?.filename);
-                console.error('Download item details:', JSON.stringify(downloadItem[0], null, 2));
                 
-                // Try alternative download method for certain errors
-                if (errorReason === 'NETWORK_FAILED' || errorReason === 'SERVER_FORBIDDEN') {
-                    console.log('Attempting alternative download method...');
-                    this.showNotification('Thử phương pháp khác', {
-                        message: `Đang thử tải xuống bằng cách khác: ${downloadInfo?.filename || 'video'}`,
-                        type: 'basic',
-                        iconUrl: 'icons/icon.png'
-                    });
-                    
-                    // Try to open URL in new tab as fallback
-                    try {
-                        await chrome.tabs.create({ url: downloadInfo?.url, active: false });
-                    } catch (tabError) {
-                        console.error('Failed to open in new tab:', tabError);
-                    }
-                } else {
-                    this.showNotification('Lỗi tải xuống', {
-                        message: `Không thể tải xuống video: ${downloadInfo?.filename || 'video'}\nLỗi: ${errorReason}`,
-                        type: 'basic',
-                        iconUrl: 'icons/icon.png'
-                    });
+                if (await this.retryDownload(downloadId, downloadItem, downloadInfo)) {
+                    return;
                 }
                 
+                this.queue.failDownload(downloadId, errorReason);
+                this.showNotification('Lỗi tải xuống', {
+                    message: `Không thể tải xuống video: ${downloadInfo?.filename || 'video'}\nLỗi: ${errorReason}`,
+                    type: 'basic',
+                    iconUrl: 'icons/icon.png'
+                });
+                
                 await this.cleanupDownloadInfo(downloadId);
             }
         }
     }
 
+    // Network and server interruptions: resume the same download when the
+    // browser still can, otherwise start it again. Returns false once the
+    // retries are used up or the error is not worth retrying.
+    async retryDownload(downloadId, downloadItem, downloadInfo) {
+        if (!downloadItem || !RETRY_DOWNLOAD_ERRORS.includes(downloadItem.error)) {
+            return false;
+        }
+        
+        // Without stored info (e.g. after a worker restart) the item's URL
+        // is enough; the browser picks the filename on a restart
+        const info = downloadInfo || { url: downloadItem.url, filename: null };
+        const attempt = info.attempts || 0;
+        if (attempt >= RETRY_MAX_ATTEMPTS || !this.queue.wantsRetry(downloadId)) {
+            return false;
+        }
+        
+        info.attempts = attempt + 1;
+        await this.storeDownloadInfo(downloadId, info);
+        console.log(`Retrying download ${downloadId} (${info.attempts}/${RETRY_MAX_ATTEMPTS})`);
+        await this.waitForRetry(attempt);
+        
+        const [current] = await chrome.downloads.search({ id: downloadId });
+        if (current && current.state !== 'interrupted') {
+            return true; // Resumed by hand while waiting
+        }
+        if (!current || !this.queue.wantsRetry(downloadId)) {
+            return false; // Cancelled while waiting
+        }
+        
+        try {
+            if (current.canResume) {
+                await chrome.downloads.resume(downloadId);
+            } else {
+                // Only a queued job still has the headers of its tab
+                const job = this.queue.findDirectJob(downloadId);
+                const scope = job && !info.url.startsWith('blob:') ? this.getJobScope(job) : null;
+                const newId = await chrome.downloads.download({
+                    url: info.url,
+                    filename: info.filename || undefined,
+                    conflictAction: 'uniquify',
+                    saveAs: false,
+                    headers: await this.headerReplay.prepareDownload(info.url, scope)
+                });
+                await chrome.storage.local.remove([`download_${downloadId}`]);
+                await this.storeDownloadInfo(newId, info);
+                this.queue.replaceDownload(downloadId, newId);
+            }
+            return true;
+        } catch (error) {
+            console.error('Download retry failed:', error);
+            return false;
+        }
+    }
+
     async cleanupDownloadInfo(downloadId) {
         try {
+            // Release blob URLs created for joined stream downloads
+            const downloadInfo = await this.getDownloadInfo(downloadId);
+            if (downloadInfo && downloadInfo.url && downloadInfo.url.startsWith('blob:')) {
+                await this.revokeBlobUrl({ url: downloadInfo.url, key: downloadInfo.blobKey || null });
+            }
+            
             await chrome.storage.local.remove([`download_${downloadId}`]);
         } catch (error) {
             console.error('Error cleaning up download info:', error);
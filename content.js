@@ -4,10 +4,40 @@
 if (window.videoDetectorInstance) {
     console.log('VideoDetector already exists, skipping initialization');
 } else {
+    // postMessage tags shared with pagehooks.js
+    const HOOKS_MESSAGE_SOURCE = 'video-downloadhelper-hooks';
+    const CONTENT_MESSAGE_SOURCE = 'video-downloadhelper-content';
+    const CAPTURE_REQUEST_TIMEOUT = 10000;
+    const PLAYERS_REQUEST_TIMEOUT = 1000; // Scans must not hang on pages without the main-world scripts
+    const DOM_RESCAN_DELAY = 1000; // Mutations are batched into one rescan
+    const WATCHED_MEDIA_SELECTOR = 'video, audio, source';
+    // MIME types pages declare for their sources; anything else keeps the
+    // format read from the URL
+    const SOURCE_TYPE_FORMATS = {
+        'video/mp4': 'MP4',
+        'video/webm': 'WebM',
+        'video/ogg': 'OGG',
+        'video/quicktime': 'MOV',
+        'video/x-matroska': 'MKV',
+        'video/x-flv': 'FLV',
+        'video/mp2t': 'TS'
+    };
+    const THUMBNAIL_WIDTH = 160; // Frame grabs are scaled down to this width
+    const THUMBNAIL_QUALITY = 0.7;
+
     class VideoDetector {
         constructor() {
             this.videos = [];
-            this.streamingUrls = new Set(); // Track streaming URLs
+            this.streamingUrls = new Map(); // Streaming URL -> format, when known
+            this.mediaSources = new Map(); // blob: URL -> { mimeTypes, encrypted }
+            this.pageRequests = new Map(); // request id -> { resolve, reject, timer }
+            this.nextPageRequest = 1;
+            this.rescanTimer = null;
+            this.domObserver = null;
+            this.watchedRoots = new WeakSet(); // document and open shadow roots
+            this.pendingScan = null;
+            this.lastReport = null;
+            this.frameThumbnails = new WeakMap(); // video element -> { src, thumbnail }
             this.init();
         }
 
@@ -15,8 +45,12 @@ if (window.videoDetectorInstance) {
             // Listen for messages from popup
             chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
                 if (request.action === 'findVideos') {
+                    // Every frame gets this message and reports its list to
+                    // the background, which tags it with the frame; the
+                    // popup reads the merged list from there
                     this.findVideos()
-                        .then(videos => {
+                        .then(async videos => {
+                            await this.reportVideos();
                             sendResponse({ videos: videos });
                         })
                         .catch(error => {
@@ -26,43 +60,269 @@ if (window.videoDetectorInstance) {
                     
                     // Return true to indicate we'll send response asynchronously
                     return true;
+                } else if (request.action === 'captureMedia') {
+                    this.handleCaptureRequest(request)
+                        .then(result => {
+                            sendResponse({ success: true, ...result });
+                        })
+                        .catch(error => {
+                            console.error('Error capturing media:', error);
+                            sendResponse({ success: false, error: error.message });
+                        });
+                    
+                    return true;
                 }
             });
 
             // Monitor network requests for streaming URLs
             this.monitorNetworkRequests();
             
+            // Rescan when the page adds or changes media later on
+            this.watchDom();
+            
             // Auto-scan when content script loads
-            this.findVideos();
+            this.rescan();
         }
 
-        monitorNetworkRequests() {
-            // Override XMLHttpRequest to catch streaming URLs
-            const originalOpen = XMLHttpRequest.prototype.open;
-            const self = this;
-            
-            XMLHttpRequest.prototype.open = function(method, url, ...args) {
-                if (self.isStreamingUrl(url)) {
-                    console.log('Detected streaming URL:', url);
-                    self.streamingUrls.add(url);
+        // Infinite scroll, SPA navigation and lazy players add media long
+        // after load
+        watchDom() {
+            this.domObserver = new MutationObserver((mutations) => {
+                if (mutations.some(mutation => this.isMediaMutation(mutation))) {
+                    this.scheduleRescan();
                 }
-                return originalOpen.apply(this, [method, url, ...args]);
-            };
+            });
+            this.watchRoot(document);
+        }
+
+        // Mutations and events inside a shadow root stay there, so each
+        // open root is observed on its own
+        watchRoot(root) {
+            if (this.watchedRoots.has(root)) return;
+            this.watchedRoots.add(root);
+            
+            this.domObserver.observe(root === document ? document.documentElement : root, {
+                childList: true,
+                subtree: true,
+                attributes: true,
+                attributeFilter: ['src']
+            });
+            
+            // currentSrc changes without a mutation (a <source> is picked,
+            // src is set before the element is attached). Media events do
+            // not bubble, so listen in the capture phase.
+            ['loadstart', 'emptied'].forEach(type => {
+                root.addEventListener(type, (event) => {
+                    if (event.target instanceof HTMLMediaElement) {
+                        this.scheduleRescan();
+                    }
+                }, true);
+            });
+        }
+
+        isMediaMutation(mutation) {
+            if (mutation.type === 'attributes') {
+                return mutation.target.matches(WATCHED_MEDIA_SELECTOR);
+            }
+            
+            let found = false;
+            mutation.addedNodes.forEach(node => {
+                if (node.nodeType !== Node.ELEMENT_NODE) return;
+                
+                // Web-component players fill their shadow root later
+                const shadowRoots = this.findShadowRoots(node);
+                shadowRoots.forEach(root => this.watchRoot(root));
+                
+                found = found || node.matches(WATCHED_MEDIA_SELECTOR) ||
+                    this.deepQuerySelectorAll(WATCHED_MEDIA_SELECTOR, shadowRoots, node).length > 0;
+            });
+            return found;
+        }
+
+        // Open shadow roots in and under root, nested ones included; closed
+        // roots cannot be reached
+        findShadowRoots(root = document) {
+            const roots = [];
+            if (root.shadowRoot) {
+                roots.push(root.shadowRoot, ...this.findShadowRoots(root.shadowRoot));
+            }
+            
+            const walker = document.createTreeWalker(root, NodeFilter.SHOW_ELEMENT);
+            for (let node = walker.nextNode(); node; node = walker.nextNode()) {
+                if (node.shadowRoot) {
+                    roots.push(node.shadowRoot, ...this.findShadowRoots(node.shadowRoot));
+                }
+            }
+            return roots;
+        }
+
+        // querySelectorAll that also looks inside open shadow roots, for
+        // players built as web components (<media-player>, <mux-player>, ...).
+        // shadowRoots are the ones under root, found once per scan.
+        deepQuerySelectorAll(selector, shadowRoots, root = document) {
+            const results = Array.from(root.querySelectorAll(selector));
+            shadowRoots.forEach(shadowRoot => {
+                results.push(...shadowRoot.querySelectorAll(selector));
+            });
+            return results;
+        }
+
+        // First match of deepQuerySelectorAll; the light DOM comes first
+        deepQuerySelector(selector, shadowRoots, root = document) {
+            const found = root.querySelector(selector);
+            if (found) return found;
+            
+            for (const shadowRoot of shadowRoots) {
+                const match = shadowRoot.querySelector(selector);
+                if (match) return match;
+            }
+            return null;
+        }
+
+        scheduleRescan() {
+            clearTimeout(this.rescanTimer);
+            this.rescanTimer = setTimeout(() => this.rescan(), DOM_RESCAN_DELAY);
+        }
 
-            // Override fetch to catch streaming URLs
-            const originalFetch = window.fetch;
-            window.fetch = function(url, ...args) {
-                if (typeof url === 'string' && self.isStreamingUrl(url)) {
-                    console.log('Detected streaming URL via fetch:', url);
-                    self.streamingUrls.add(url);
-                } else if (url instanceof Request && self.isStreamingUrl(url.url)) {
-                    console.log('Detected streaming URL via fetch Request:', url.url);
-                    self.streamingUrls.add(url.url);
+        async rescan() {
+            await this.findVideos();
+            this.reportVideos();
+        }
+
+        // The background keeps the latest list per frame and tells an open
+        // popup; unchanged lists are not sent again. Later scans fill in
+        // titles, thumbnails, qualities and metadata, so every field counts
+        // except the playback position, which changes on each scan.
+        async reportVideos() {
+            const videos = this.videos.map(({ element, sourceElement, ...video }) => video);
+            const signature = JSON.stringify(videos.map(({ currentTime, ...video }) => video));
+            if (signature === this.lastReport) return;
+            
+            this.lastReport = signature;
+            try {
+                await chrome.runtime.sendMessage({ action: 'reportVideos', videos: videos });
+            } catch (error) {
+                // The extension was reloaded and this script is orphaned
+                console.log('Could not report videos:', error.message);
+            }
+        }
+
+        // Patching fetch/XHR here would only see this isolated world's own
+        // requests. pagehooks.js runs in the page's world and reports the
+        // player's manifests and MediaSource objects through postMessage.
+        monitorNetworkRequests() {
+            window.addEventListener('message', (event) => {
+                // Only this document may talk to us
+                if (event.source !== window || event.origin !== window.location.origin) return;
+                
+                const data = event.data;
+                if (!data || data.source !== HOOKS_MESSAGE_SOURCE) return;
+                
+                if (data.requestId !== undefined) {
+                    this.handlePageReply(data);
+                } else if (Array.isArray(data.items)) {
+                    data.items.forEach(item => this.handlePageHookItem(item));
                 }
-                return originalFetch.apply(this, [url, ...args]);
+            });
+            
+            // The hooks start at document_start; ask for what they found
+            // before this script loaded
+            window.postMessage({ source: CONTENT_MESSAGE_SOURCE, type: 'replay' }, '/');
+        }
+
+        handlePageHookItem(item) {
+            if (!item || typeof item.url !== 'string') return;
+            
+            // The page can post these too, so take only what the hooks send
+            if (item.kind === 'manifest' && (item.format === 'HLS' || item.format === 'DASH')) {
+                console.log(`Detected streaming URL via ${item.via}:`, item.url);
+                this.streamingUrls.set(item.url, item.format);
+                this.scheduleRescan();
+            } else if (item.kind === 'mediasource' && Array.isArray(item.mimeTypes)) {
+                this.mediaSources.set(item.url, {
+                    mimeTypes: item.mimeTypes.map(String),
+                    encrypted: item.encrypted === true
+                });
+                this.scheduleRescan();
+            }
+        }
+
+        // Capture commands go to pagehooks.js, which holds the appended
+        // media; saved captures come back as one Blob per SourceBuffer
+        async handleCaptureRequest(request) {
+            const result = await this.requestPage('capture', {
+                command: request.command,
+                url: request.url
+            }, CAPTURE_REQUEST_TIMEOUT);
+            if (!result.files) {
+                return { status: result.status };
+            }
+            
+            if (result.files.length === 0) {
+                throw new Error('Chưa ghi được dữ liệu nào, hãy phát video trong khi ghi');
+            }
+            
+            const title = this.sanitizeTitle(request.title || document.title || 'video') || 'video';
+            result.files.forEach(file => this.saveCaptureFile(file, title, result.files.length > 1));
+            
+            return {
+                status: result.status,
+                files: result.files.map(file => ({ kind: file.kind, mimeType: file.mimeType, bytes: file.bytes }))
             };
         }
 
+        // Requests to the main-world scripts (capture commands, player
+        // configs); replies carry the same request id
+        requestPage(type, fields, timeout) {
+            const requestId = this.nextPageRequest++;
+            
+            return new Promise((resolve, reject) => {
+                const timer = setTimeout(() => {
+                    this.pageRequests.delete(requestId);
+                    reject(new Error('Trang không phản hồi'));
+                }, timeout);
+                
+                this.pageRequests.set(requestId, { resolve: resolve, reject: reject, timer: timer });
+                window.postMessage({
+                    source: CONTENT_MESSAGE_SOURCE,
+                    type: type,
+                    requestId: requestId,
+                    ...fields
+                }, '/');
+            });
+        }
+
+        handlePageReply(data) {
+            const request = this.pageRequests.get(data.requestId);
+            if (!request) return;
+            
+            this.pageRequests.delete(data.requestId);
+            clearTimeout(request.timer);
+            
+            if (data.error || !data.result) {
+                request.reject(new Error(data.error || 'Trang không xử lý được yêu cầu'));
+            } else {
+                request.resolve(data.result);
+            }
+        }
+
+        // The Blob belongs to the page, so the download starts from here
+        saveCaptureFile(file, title, labelTrack) {
+            if (!(file.blob instanceof Blob)) return;
+            
+            const url = URL.createObjectURL(file.blob);
+            const link = document.createElement('a');
+            link.href = url;
+            link.download = `${labelTrack ? `${title} (${file.kind})` : title}.${file.extension}`;
+            link.style.display = 'none';
+            document.documentElement.appendChild(link);
+            link.click();
+            link.remove();
+            
+            // Revoking right away can cancel the download before it starts
+            setTimeout(() => URL.revokeObjectURL(url), 60000);
+        }
+
         isStreamingUrl(url) {
             if (!url || typeof url !== 'string') return false;
             
@@ -120,7 +380,17 @@ if (window.videoDetectorInstance) {
             return 'Stream';
         }
 
-    async findVideos() {
+    // Rescans and popup requests can overlap; they share the running scan
+    findVideos() {
+        if (!this.pendingScan) {
+            this.pendingScan = this.scanVideos().finally(() => {
+                this.pendingScan = null;
+            });
+        }
+        return this.pendingScan;
+    }
+
+    async scanVideos() {
         try {
             this.videos = [];
             
@@ -128,24 +398,43 @@ if (window.videoDetectorInstance) {
             const platform = this.detectPlatform();
             console.log('Detected platform:', platform);
             
+            // Open shadow roots, walked once for the whole scan; new ones
+            // are watched for later changes
+            const shadowRoots = this.findShadowRoots();
+            shadowRoots.forEach(root => this.watchRoot(root));
+            
+            // Players set up from JavaScript first: their entries carry
+            // every source, the poster and the title
+            await this.findPlayerConfigVideos(shadowRoots);
+            
             // Find all video elements with direct src
-            await this.findDirectVideoElements();
+            await this.findDirectVideoElements(shadowRoots);
             
             // Find videos in source elements
-            await this.findSourceElements();
+            await this.findSourceElements(shadowRoots);
             
             // Find platform-specific videos
-            await this.findPlatformSpecificVideos(platform);
+            await this.findPlatformSpecificVideos(platform, shadowRoots);
             
             // Find streaming URLs
-            await this.findStreamingVideos(platform);
+            await this.findStreamingVideos(platform, shadowRoots);
+            
+            // Media files named by JSON-LD, Open Graph or Twitter cards
+            const metadata = this.readStructuredMetadata();
+            this.findMetadataVideos(metadata);
             
             // Remove duplicates
             this.videos = this.removeDuplicates(this.videos);
             
+            // Titles, descriptions and dates from the same metadata
+            this.applyStructuredMetadata(metadata);
+            
             // Filter valid videos
             this.videos = this.videos.filter(video => this.isValidVideo(video));
             
+            // Poster, metadata image or a frame of the playing video
+            this.addThumbnails(this.getSharedMetadata(metadata));
+            
             console.log(`Found ${this.videos.length} videos:`, this.videos);
             
             return this.videos;
@@ -155,10 +444,10 @@ if (window.videoDetectorInstance) {
         }
     }
 
-    async findStreamingVideos(platform) {
+    async findStreamingVideos(platform, shadowRoots) {
         // Add detected streaming URLs to videos list
-        this.streamingUrls.forEach(url => {
-            const format = this.getStreamingFormat(url);
+        this.streamingUrls.forEach((knownFormat, url) => {
+            const format = knownFormat || this.getStreamingFormat(url);
             this.videos.push({
                 url: url,
                 type: 'streaming',
@@ -171,10 +460,10 @@ if (window.videoDetectorInstance) {
         });
 
         // Look for streaming URLs in page content
-        await this.scanPageForStreamingUrls(platform);
+        await this.scanPageForStreamingUrls(platform, shadowRoots);
     }
 
-    async scanPageForStreamingUrls(platform) {
+    async scanPageForStreamingUrls(platform, shadowRoots) {
         // Scan script tags for streaming URLs
         const scripts = document.querySelectorAll('script');
         scripts.forEach(script => {
@@ -199,9 +488,9 @@ if (window.videoDetectorInstance) {
         if (platform === 'youtube') {
             await this.findYouTubeStreamingUrls();
         } else if (platform === 'facebook') {
-            await this.findFacebookStreamingUrls();
+            await this.findFacebookStreamingUrls(shadowRoots);
         } else if (platform === 'tiktok') {
-            await this.findTikTokStreamingUrls();
+            await this.findTikTokStreamingUrls(shadowRoots);
         }
     }
 
@@ -299,7 +588,7 @@ if (window.videoDetectorInstance) {
         }
     }
 
-    async findFacebookStreamingUrls() {
+    async findFacebookStreamingUrls(shadowRoots) {
         // Look for Facebook video data
         const scripts = document.querySelectorAll('script');
         scripts.forEach(script => {
@@ -313,7 +602,7 @@ if (window.videoDetectorInstance) {
                         platform: 'facebook',
                         format: format,
                         size: 'Unknown',
-                        title: this.extractFacebookTitle() || 'Facebook Stream',
+                        title: this.extractFacebookTitle(null, shadowRoots) || 'Facebook Stream',
                         isStreaming: true
                     });
                 });
@@ -321,7 +610,7 @@ if (window.videoDetectorInstance) {
         });
     }
 
-    async findTikTokStreamingUrls() {
+    async findTikTokStreamingUrls(shadowRoots) {
         // Look for TikTok video data
         const scripts = document.querySelectorAll('script');
         scripts.forEach(script => {
@@ -335,7 +624,7 @@ if (window.videoDetectorInstance) {
                         platform: 'tiktok',
                         format: format,
                         size: 'Unknown',
-                        title: this.extractTikTokTitle() || 'TikTok Stream',
+                        title: this.extractTikTokTitle(null, shadowRoots) || 'TikTok Stream',
                         isStreaming: true
                     });
                 });
@@ -343,27 +632,31 @@ if (window.videoDetectorInstance) {
         });
     }
 
-    async findDirectVideoElements() {
-        // Find video elements with src attribute
-        const videoElements = document.querySelectorAll('video[src]');
+    async findDirectVideoElements(shadowRoots) {
+        // Find video and audio elements with a src attribute, or with a
+        // currentSrc the player set as a property
+        const videoElements = this.deepQuerySelectorAll('video, audio', shadowRoots);
         
         videoElements.forEach(video => {
-            if (video.src && this.isValidVideoUrl(video.src)) {
+            const src = video.src || video.currentSrc;
+            if (src && this.isValidVideoUrl(src)) {
                 this.videos.push({
-                    src: video.src,
+                    url: src,
+                    src: src,
                     type: 'direct',
                     element: video,
-                    title: this.extractVideoTitle(video),
+                    title: this.extractVideoTitle(video, null, shadowRoots),
                     duration: video.duration || 0,
-                    currentTime: video.currentTime || 0
+                    currentTime: video.currentTime || 0,
+                    subtitles: this.findTextTracks(video)
                 });
             }
         });
     }
 
-    async findSourceElements() {
-        // Find video elements with source children
-        const videoElements = document.querySelectorAll('video');
+    async findSourceElements(shadowRoots) {
+        // Find video and audio elements with source children
+        const videoElements = this.deepQuerySelectorAll('video, audio', shadowRoots);
         
         videoElements.forEach(video => {
             const sources = video.querySelectorAll('source[src]');
@@ -371,20 +664,375 @@ if (window.videoDetectorInstance) {
             sources.forEach(source => {
                 if (source.src && this.isValidVideoUrl(source.src)) {
                     this.videos.push({
+                        url: source.src,
                         src: source.src,
                         type: 'source',
                         element: video,
                         sourceElement: source,
-                        title: this.extractVideoTitle(video, source),
+                        title: this.extractVideoTitle(video, source, shadowRoots),
                         duration: video.duration || 0,
                         currentTime: video.currentTime || 0,
-                        mimeType: source.type || ''
+                        mimeType: source.type || '',
+                        subtitles: this.findTextTracks(video)
                     });
                 }
             });
         });
     }
 
+    // Players configured from JavaScript (JW Player, Video.js, Plyr,
+    // Flowplayer, Clappr, hls.js): data-setup attributes are read here,
+    // the player APIs by playerconfigs.js in the main world
+    async findPlayerConfigVideos(shadowRoots) {
+        const players = [...this.readDataSetupConfigs(shadowRoots), ...await this.requestPlayerConfigs()];
+        players.forEach(player => this.addPlayerVideos(player, shadowRoots));
+    }
+
+    async requestPlayerConfigs() {
+        try {
+            const result = await this.requestPage('players', {}, PLAYERS_REQUEST_TIMEOUT);
+            return Array.isArray(result.players) ? result.players : [];
+        } catch (error) {
+            console.log('Player configs unavailable:', error.message);
+            return [];
+        }
+    }
+
+    // Video.js takes its options from a data-setup JSON attribute
+    readDataSetupConfigs(shadowRoots) {
+        const players = [];
+        
+        this.deepQuerySelectorAll('[data-setup]', shadowRoots).forEach(element => {
+            let config;
+            try {
+                config = JSON.parse(element.getAttribute('data-setup'));
+            } catch {
+                return;
+            }
+            if (!config || !Array.isArray(config.sources)) return;
+            
+            players.push({
+                player: 'Video.js',
+                element: element,
+                title: config.title || '',
+                poster: this.resolvePageUrl(config.poster) || element.poster || '',
+                sources: config.sources.map(source => ({
+                    url: this.resolvePageUrl(source.src),
+                    type: source.type || '',
+                    label: source.label || '',
+                    height: parseInt(source.res || source.height, 10) || 0
+                }))
+            });
+        });
+        
+        return players;
+    }
+
+    resolvePageUrl(url) {
+        if (!url || typeof url !== 'string') return '';
+        try {
+            const resolved = new URL(url, window.location.href);
+            return ['http:', 'https:'].includes(resolved.protocol) ? resolved.href : '';
+        } catch {
+            return '';
+        }
+    }
+
+    // One entry per manifest, and one for the player's files, which the
+    // popup offers as qualities (highest first)
+    addPlayerVideos(player, shadowRoots) {
+        // Main-world results come from the page; take plain values only
+        const sources = (Array.isArray(player.sources) ? player.sources : [])
+            .map(source => ({
+                url: this.resolvePageUrl(source && source.url),
+                type: String((source && source.type) || ''),
+                label: String((source && source.label) || ''),
+                height: parseInt(source && source.height, 10) || 0
+            }))
+            .filter(source => source.url);
+        const title = this.sanitizeTitle(String(player.title || '')) ||
+            (player.element ? this.extractVideoTitle(player.element, null, shadowRoots) : '') ||
+            this.sanitizeTitle(document.title);
+        const common = {
+            type: 'player',
+            player: String(player.player),
+            poster: this.resolvePageUrl(player.poster),
+            sources: sources
+        };
+        const files = [];
+        
+        sources.forEach(source => {
+            const format = this.getPlayerSourceFormat(source);
+            if (format === 'HLS' || format === 'DASH') {
+                this.videos.push({
+                    ...common,
+                    url: source.url,
+                    src: source.url,
+                    format: format,
+                    title: title || this.extractTitleFromUrl(source.url),
+                    isStreaming: true
+                });
+            } else {
+                files.push(source);
+            }
+        });
+        
+        if (files.length === 0) return;
+        
+        files.sort((a, b) => b.height - a.height);
+        this.videos.push({
+            ...common,
+            url: files[0].url,
+            src: files[0].url,
+            format: this.getPlayerSourceFormat(files[0]),
+            title: title || this.extractTitleFromUrl(files[0].url),
+            qualities: files.length > 1 ? files : []
+        });
+    }
+
+    // Player sources often have no extension but name their type
+    getPlayerSourceFormat(source) {
+        const type = String(source.type || '').toLowerCase();
+        if (type.includes('mpegurl')) return 'HLS';
+        if (type.includes('dash')) return 'DASH';
+        
+        const format = this.getVideoFormat(source.url);
+        const typeFormat = SOURCE_TYPE_FORMATS[type.split(';')[0].trim()];
+        return format === 'Video' && typeFormat ? typeFormat : format;
+    }
+
+    // schema.org VideoObject items from JSON-LD, plus the og:video and
+    // twitter:player:stream tags with the page's Open Graph/Twitter fields.
+    // page holds the page-level fields for entries no item names.
+    readStructuredMetadata() {
+        const items = [];
+        
+        document.querySelectorAll('script[type="application/ld+json"]').forEach(script => {
+            try {
+                this.collectVideoObjects(JSON.parse(script.textContent), items, 0);
+            } catch {
+                // Broken JSON-LD is common; skip it
+            }
+        });
+        
+        const meta = (name) => {
+            const element = document.querySelector(`meta[property="${name}"], meta[name="${name}"]`);
+            return element ? (element.getAttribute('content') || '').trim() : '';
+        };
+        const page = {
+            contentUrl: '',
+            embedUrl: '',
+            name: meta('og:title') || meta('twitter:title'),
+            description: meta('og:description') || meta('twitter:description') || meta('description'),
+            duration: parseInt(meta('video:duration') || meta('og:video:duration'), 10) || 0,
+            uploadDate: meta('video:release_date') || meta('article:published_time'),
+            thumbnailUrl: this.resolvePageUrl(meta('og:image') || meta('twitter:image')),
+            license: ''
+        };
+        
+        [
+            { url: meta('og:video:secure_url') || meta('og:video:url') || meta('og:video'), type: meta('og:video:type') },
+            { url: meta('twitter:player:stream'), type: meta('twitter:player:stream:content_type') }
+        ].forEach(tag => {
+            const url = this.resolvePageUrl(tag.url);
+            if (url && !items.some(item => item.contentUrl === url)) {
+                items.push({ ...page, contentUrl: url, type: tag.type });
+            }
+        });
+        
+        return { videos: items, page: page };
+    }
+
+    // VideoObjects sit at the top, in @graph or inside other items
+    // (Article.video, ItemList.itemListElement, ...)
+    collectVideoObjects(node, items, depth) {
+        if (!node || typeof node !== 'object' || depth > 10) return;
+        
+        if (Array.isArray(node)) {
+            node.forEach(item => this.collectVideoObjects(item, items, depth + 1));
+            return;
+        }
+        
+        const types = [].concat(node['@type'] || []);
+        if (types.includes('VideoObject')) {
+            items.push({
+                contentUrl: this.resolvePageUrl(this.getMetadataText(node.contentUrl)),
+                embedUrl: this.resolvePageUrl(this.getMetadataText(node.embedUrl)),
+                name: this.getMetadataText(node.name),
+                description: this.getMetadataText(node.description),
+                duration: this.parseIsoDuration(this.getMetadataText(node.duration)),
+                uploadDate: this.getMetadataText(node.uploadDate),
+                thumbnailUrl: this.resolvePageUrl(this.getMetadataText(node.thumbnailUrl)),
+                license: this.getMetadataText(node.license),
+                type: this.getMetadataText(node.encodingFormat)
+            });
+        }
+        
+        Object.values(node).forEach(value => this.collectVideoObjects(value, items, depth + 1));
+    }
+
+    // Strings, lists of strings or linked objects (ImageObject, CreativeWork)
+    getMetadataText(value) {
+        if (Array.isArray(value)) {
+            return this.getMetadataText(value[0]);
+        }
+        if (value && typeof value === 'object') {
+            return this.getMetadataText(value.url || value.contentUrl || value['@id'] || value.name);
+        }
+        return typeof value === 'string' || typeof value === 'number' ? String(value).trim() : '';
+    }
+
+    // ISO 8601 durations such as PT1H2M3.5S, in seconds
+    parseIsoDuration(text) {
+        const match = /^P(?:(\d+)D)?(?:T(?:(\d+)H)?(?:(\d+)M)?(?:([\d.]+)S)?)?$/i.exec(text || '');
+        if (!match) return 0;
+        
+        const [, days, hours, minutes, seconds] = match.map(part => parseFloat(part) || 0);
+        return days * 86400 + hours * 3600 + minutes * 60 + seconds;
+    }
+
+    // Items that name a media file; HTML and Flash players do not count
+    findMetadataVideos(metadata) {
+        metadata.videos.forEach(item => {
+            const url = item.contentUrl;
+            if (!url || /html|flash/i.test(item.type || '')) return;
+            
+            const format = this.getPlayerSourceFormat({ url: url, type: item.type || '' });
+            if (format === 'Video' && !this.isValidVideoUrl(url)) return;
+            
+            this.videos.push({
+                url: url,
+                src: url,
+                type: 'metadata',
+                format: format,
+                title: this.sanitizeTitle(item.name) || this.extractTitleFromUrl(url) || `Video ${Date.now()}`,
+                isStreaming: format === 'HLS' || format === 'DASH',
+                ...this.getMetadataFields(item)
+            });
+        });
+    }
+
+    // An entry gets the metadata of its own URL, title included. When the
+    // page describes one video, entries without a real title get that
+    // one's; its image is left to addThumbnails, after the entry's own.
+    applyStructuredMetadata(metadata) {
+        const byUrl = new Map(metadata.videos.filter(item => item.contentUrl).map(item => [item.contentUrl, item]));
+        const shared = this.getSharedMetadata(metadata);
+        
+        this.videos.forEach(video => {
+            const exact = byUrl.get(video.url);
+            const item = exact || shared;
+            if (!item) return;
+            
+            if (item.name && (exact || this.isFallbackTitle(video))) {
+                video.title = this.sanitizeTitle(item.name);
+            }
+            Object.entries(this.getMetadataFields(item)).forEach(([key, value]) => {
+                if (!video[key] && (exact || key !== 'thumbnail')) {
+                    video[key] = value;
+                }
+            });
+        });
+    }
+
+    // The one video the page describes (og:video and twitter:player:stream
+    // often name the same one); without any item, the page's Open Graph
+    // fields
+    getSharedMetadata(metadata) {
+        if (new Set(metadata.videos.map(item => item.name)).size === 1) {
+            return metadata.videos[0];
+        }
+        if (metadata.videos.length === 0 && metadata.page.name) {
+            return metadata.page;
+        }
+        return null;
+    }
+
+    getMetadataFields(item) {
+        const fields = {
+            description: item.description,
+            duration: item.duration,
+            uploadDate: item.uploadDate,
+            thumbnail: item.thumbnailUrl,
+            license: item.license,
+            embedUrl: item.embedUrl
+        };
+        Object.keys(fields).forEach(key => {
+            if (!fields[key]) delete fields[key];
+        });
+        return fields;
+    }
+
+    // Titles made up from the URL or the timestamp fallback
+    isFallbackTitle(video) {
+        return !video.title || /^Video \d+$/.test(video.title) ||
+            video.title === this.extractTitleFromUrl(video.url);
+    }
+
+    // The entry's own image first: its metadata thumbnail, the player's or
+    // element's poster, a frame of the video; the page's image last
+    addThumbnails(shared) {
+        const pageThumbnail = shared ? shared.thumbnailUrl : '';
+        
+        this.videos.forEach(video => {
+            const element = video.element && video.element.tagName === 'VIDEO' ? video.element : null;
+            const thumbnail = video.thumbnail || video.poster || (element && element.poster) ||
+                (element && this.grabVideoFrame(element)) || pageThumbnail;
+            if (thumbnail) {
+                video.thumbnail = thumbnail;
+            }
+        });
+    }
+
+    // A small JPEG of the current frame. Cross-origin video without CORS
+    // taints the canvas and toDataURL throws; that element is not tried
+    // again until its source changes. Grabs are kept per source so rescans
+    // do not report a new thumbnail on every frame.
+    grabVideoFrame(element) {
+        const src = element.currentSrc || element.src;
+        const cached = this.frameThumbnails.get(element);
+        if (cached && cached.src === src) {
+            return cached.thumbnail;
+        }
+        
+        // HAVE_CURRENT_DATA: there is a frame to draw
+        if (element.readyState < 2 || !element.videoWidth || !element.videoHeight) {
+            return '';
+        }
+        
+        let thumbnail = '';
+        try {
+            const canvas = document.createElement('canvas');
+            canvas.width = Math.min(THUMBNAIL_WIDTH, element.videoWidth);
+            canvas.height = Math.round(canvas.width * element.videoHeight / element.videoWidth);
+            canvas.getContext('2d').drawImage(element, 0, 0, canvas.width, canvas.height);
+            thumbnail = canvas.toDataURL('image/jpeg', THUMBNAIL_QUALITY);
+        } catch (error) {
+            // SecurityError from a tainted canvas
+            console.log('Could not grab video frame:', error.name);
+        }
+        
+        this.frameThumbnails.set(element, { src: src, thumbnail: thumbnail });
+        return thumbnail;
+    }
+
+    // <track kind="subtitles|captions"> children of a video element;
+    // a track without kind counts as subtitles
+    findTextTracks(videoElement) {
+        const tracks = videoElement.querySelectorAll('track[src]');
+        
+        return Array.from(tracks)
+            .filter(track => track.kind === 'subtitles' || track.kind === 'captions')
+            .map(track => ({
+                source: 'track',
+                id: track.src,
+                url: track.src,
+                language: track.srclang || '',
+                label: track.label || track.srclang || 'Phụ đề',
+                kind: track.kind
+            }));
+    }
+
     detectPlatform() {
         const hostname = window.location.hostname.toLowerCase();
         const url = window.location.href.toLowerCase();
@@ -406,28 +1054,30 @@ if (window.videoDetectorInstance) {
         return 'generic';
     }
 
-    async findPlatformSpecificVideos(platform) {
+    async findPlatformSpecificVideos(platform, shadowRoots) {
         switch (platform) {
             case 'tiktok':
-                await this.findTikTokVideos();
+                await this.findTikTokVideos(shadowRoots);
                 break;
             case 'facebook':
-                await this.findFacebookVideos();
+                await this.findFacebookVideos(shadowRoots);
                 break;
             case 'youtube':
-                await this.findYouTubeVideos();
+                await this.findYouTubeVideos(shadowRoots);
                 break;
             case 'instagram':
-                await this.findInstagramVideos();
+                await this.findInstagramVideos(shadowRoots);
                 break;
             case 'twitter':
-                await this.findTwitterVideos();
+                await this.findTwitterVideos(shadowRoots);
                 break;
             case 'twitch':
-                await this.findTwitchVideos();
+                await this.findTwitchVideos(shadowRoots);
                 break;
             default:
-                // Generic platform, already handled by standard methods
+                // Generic platform, already handled by standard methods;
+                // MediaSource players still need the blob: check
+                this.findBlobVideos(platform, shadowRoots);
                 break;
         }
     }
@@ -498,6 +1148,8 @@ if (window.videoDetectorInstance) {
                 return false;
             }
             seen.add(key);
+            // The other files of a player entry are its qualities
+            (video.qualities || []).forEach(source => seen.add(source.url));
             return true;
         });
     }
@@ -522,7 +1174,7 @@ if (window.videoDetectorInstance) {
         return true;
     }
 
-    extractVideoTitle(videoElement, sourceElement = null) {
+    extractVideoTitle(videoElement, sourceElement, shadowRoots) {
         // Try to get title from various sources
         let title = '';
         
@@ -546,7 +1198,7 @@ if (window.videoDetectorInstance) {
         
         // 3. Try nearby text content
         if (!title) {
-            title = this.findNearbyTitle(videoElement);
+            title = this.findNearbyTitle(videoElement, shadowRoots);
         }
         
         // 4. Extract from URL
@@ -562,36 +1214,64 @@ if (window.videoDetectorInstance) {
         return this.sanitizeTitle(title);
     }
 
-    findNearbyTitle(videoElement) {
+    findNearbyTitle(videoElement, shadowRoots) {
         // Look for title in parent elements
-        let parent = videoElement.parentElement;
+        let parent = this.getComposedParent(videoElement);
         let depth = 0;
         
         while (parent && depth < 3) {
-            // Check for title attributes
-            if (parent.title) {
-                return parent.title;
+            // Check for title attributes; player elements such as
+            // <mux-player> name the video in their own attribute
+            const attributeTitle = parent.title || parent.getAttribute('metadata-video-title');
+            if (attributeTitle) {
+                return attributeTitle;
             }
             
-            // Check for heading elements
-            const heading = parent.querySelector('h1, h2, h3, h4, h5, h6');
-            if (heading && heading.textContent.trim()) {
+            // Check for heading elements, also in the player's shadow root
+            const parentRoots = this.getShadowRootsIn(parent, shadowRoots);
+            const heading = this.deepQuerySelectorAll('h1, h2, h3, h4, h5, h6', parentRoots, parent)
+                .find(element => element.textContent.trim());
+            if (heading) {
                 return heading.textContent.trim();
             }
             
             // Check for elements with title-like classes
-            const titleElement = parent.querySelector('.title, .video-title, .name, .video-name');
-            if (titleElement && titleElement.textContent.trim()) {
+            const titleElement = this.deepQuerySelectorAll('.title, .video-title, .name, .video-name', parentRoots, parent)
+                .find(element => element.textContent.trim());
+            if (titleElement) {
                 return titleElement.textContent.trim();
             }
             
-            parent = parent.parentElement;
-            depth++;
+            // Leaving a shadow root for its host does not count as a level
+            const next = this.getComposedParent(parent);
+            if (next === parent.parentElement) {
+                depth++;
+            }
+            parent = next;
         }
         
         return '';
     }
 
+    // The scan's shadow roots that lie inside element, its own included
+    getShadowRootsIn(element, shadowRoots) {
+        return shadowRoots.filter(shadowRoot => {
+            for (let node = shadowRoot.host; node; node = this.getComposedParent(node)) {
+                if (node === element) return true;
+            }
+            return false;
+        });
+    }
+
+    // The parent element, or the host when leaving a shadow root
+    getComposedParent(element) {
+        if (element.parentElement) {
+            return element.parentElement;
+        }
+        const root = element.getRootNode();
+        return root instanceof ShadowRoot ? root.host : null;
+    }
+
     extractTitleFromUrl(url) {
         if (!url) return '';
         
@@ -620,7 +1300,7 @@ if (window.videoDetectorInstance) {
             .substring(0, 100); // Limit length
     }
 
-    async findTikTokVideos() {
+    async findTikTokVideos(shadowRoots) {
         // TikTok video selectors
         const selectors = [
             'video[src]',
@@ -632,13 +1312,13 @@ if (window.videoDetectorInstance) {
         ];
 
         for (const selector of selectors) {
-            const elements = document.querySelectorAll(selector);
+            const elements = this.deepQuerySelectorAll(selector, shadowRoots);
             for (const element of elements) {
                 const src = element.src || (element.querySelector('source') && element.querySelector('source').src);
                 if (src && this.isValidVideoUrl(src)) {
                     this.videos.push({
                          url: src,
-                         title: this.extractTikTokTitle(element),
+                         title: this.extractTikTokTitle(element, shadowRoots),
                          element: element,
                          type: 'tiktok',
                          format: this.getVideoFormat(src),
@@ -649,10 +1329,10 @@ if (window.videoDetectorInstance) {
         }
 
         // Look for blob URLs in TikTok
-        this.findBlobVideos('tiktok');
+        this.findBlobVideos('tiktok', shadowRoots);
     }
 
-    async findFacebookVideos() {
+    async findFacebookVideos(shadowRoots) {
         // Facebook video selectors
         const selectors = [
             'video[src]',
@@ -664,13 +1344,13 @@ if (window.videoDetectorInstance) {
         ];
 
         for (const selector of selectors) {
-            const elements = document.querySelectorAll(selector);
+            const elements = this.deepQuerySelectorAll(selector, shadowRoots);
             for (const element of elements) {
                 const src = element.src || (element.querySelector('source') && element.querySelector('source').src);
                 if (src && this.isValidVideoUrl(src)) {
                     this.videos.push({
                          url: src,
-                         title: this.extractFacebookTitle(element),
+                         title: this.extractFacebookTitle(element, shadowRoots),
                          element: element,
                          type: 'facebook',
                          format: this.getVideoFormat(src),
@@ -681,10 +1361,10 @@ if (window.videoDetectorInstance) {
         }
 
         // Look for blob URLs in Facebook
-        this.findBlobVideos('facebook');
+        this.findBlobVideos('facebook', shadowRoots);
     }
 
-    async findYouTubeVideos() {
+    async findYouTubeVideos(shadowRoots) {
         // YouTube video selectors
         const selectors = [
             'video[src]',
@@ -695,13 +1375,13 @@ if (window.videoDetectorInstance) {
         ];
 
         for (const selector of selectors) {
-            const elements = document.querySelectorAll(selector);
+            const elements = this.deepQuerySelectorAll(selector, shadowRoots);
             for (const element of elements) {
                 const src = element.src || (element.querySelector('source') && element.querySelector('source').src);
                 if (src && this.isValidVideoUrl(src)) {
                     this.videos.push({
                          url: src,
-                         title: this.extractYouTubeTitle(element),
+                         title: this.extractYouTubeTitle(element, shadowRoots),
                          element: element,
                          type: 'youtube',
                          format: this.getVideoFormat(src),
@@ -712,10 +1392,10 @@ if (window.videoDetectorInstance) {
         }
 
         // Look for blob URLs in YouTube
-        this.findBlobVideos('youtube');
+        this.findBlobVideos('youtube', shadowRoots);
     }
 
-    async findInstagramVideos() {
+    async findInstagramVideos(shadowRoots) {
         const selectors = [
             'video[src]',
             'video source[src]',
@@ -724,13 +1404,13 @@ if (window.videoDetectorInstance) {
         ];
 
         for (const selector of selectors) {
-            const elements = document.querySelectorAll(selector);
+            const elements = this.deepQuerySelectorAll(selector, shadowRoots);
             for (const element of elements) {
                 const src = element.src || (element.querySelector('source') && element.querySelector('source').src);
                 if (src && this.isValidVideoUrl(src)) {
                     this.videos.push({
                          url: src,
-                         title: this.extractInstagramTitle(element),
+                         title: this.extractInstagramTitle(element, shadowRoots),
                          element: element,
                          type: 'instagram',
                          format: this.getVideoFormat(src),
@@ -740,10 +1420,10 @@ if (window.videoDetectorInstance) {
             }
         }
 
-        this.findBlobVideos('instagram');
+        this.findBlobVideos('instagram', shadowRoots);
     }
 
-    async findTwitterVideos() {
+    async findTwitterVideos(shadowRoots) {
         const selectors = [
             'video[src]',
             'video source[src]',
@@ -752,13 +1432,13 @@ if (window.videoDetectorInstance) {
         ];
 
         for (const selector of selectors) {
-            const elements = document.querySelectorAll(selector);
+            const elements = this.deepQuerySelectorAll(selector, shadowRoots);
             for (const element of elements) {
                 const src = element.src || (element.querySelector('source') && element.querySelector('source').src);
                 if (src && this.isValidVideoUrl(src)) {
                     this.videos.push({
                          url: src,
-                         title: this.extractTwitterTitle(element),
+                         title: this.extractTwitterTitle(element, shadowRoots),
                          element: element,
                          type: 'twitter',
                          format: this.getVideoFormat(src),
@@ -768,10 +1448,10 @@ if (window.videoDetectorInstance) {
             }
         }
 
-        this.findBlobVideos('twitter');
+        this.findBlobVideos('twitter', shadowRoots);
     }
 
-    async findTwitchVideos() {
+    async findTwitchVideos(shadowRoots) {
         const selectors = [
             'video[src]',
             'video source[src]',
@@ -780,13 +1460,13 @@ if (window.videoDetectorInstance) {
         ];
 
         for (const selector of selectors) {
-            const elements = document.querySelectorAll(selector);
+            const elements = this.deepQuerySelectorAll(selector, shadowRoots);
             for (const element of elements) {
                 const src = element.src || (element.querySelector('source') && element.querySelector('source').src);
                 if (src && this.isValidVideoUrl(src)) {
                     this.videos.push({
                          url: src,
-                         title: this.extractTwitchTitle(element),
+                         title: this.extractTwitchTitle(element, shadowRoots),
                          element: element,
                          type: 'twitch',
                          format: this.getVideoFormat(src),
@@ -796,30 +1476,46 @@ if (window.videoDetectorInstance) {
             }
         }
 
-        this.findBlobVideos('twitch');
+        this.findBlobVideos('twitch', shadowRoots);
     }
 
-    findBlobVideos(platform) {
+    findBlobVideos(platform, shadowRoots) {
         // Find videos with blob URLs (common in modern platforms)
-        const videoElements = document.querySelectorAll('video');
+        const videoElements = this.deepQuerySelectorAll('video', shadowRoots);
         for (const video of videoElements) {
             if (video.src && video.src.startsWith('blob:')) {
-                this.videos.push({
+                const mediaSource = this.mediaSources.get(video.src);
+                const entry = {
                      url: video.src,
-                     title: this.extractPlatformTitle(video, platform),
+                     title: this.extractPlatformTitle(video, platform, shadowRoots),
                      element: video,
                      type: platform + '_blob',
                      format: 'blob',
+                     mimeTypes: mediaSource ? mediaSource.mimeTypes : [],
                      size: 'Unknown',
                      downloadable: false,
                      reason: 'Blob URLs không thể tải xuống trực tiếp từ extension. Hãy thử right-click và "Save video as..." trên video.',
                      alternative: 'Sử dụng browser\'s built-in save feature hoặc screen recording tools'
-                 });
+                 };
+                
+                // MediaSource players: the appended media can be captured
+                // unless it is encrypted
+                if (mediaSource && (mediaSource.encrypted || video.mediaKeys)) {
+                    entry.reason = 'Video được bảo vệ bằng DRM (EME), không thể ghi lại.';
+                    entry.alternative = null;
+                } else if (mediaSource) {
+                    entry.format = 'MSE';
+                    entry.downloadable = true;
+                    entry.capture = true;
+                    entry.reason = null;
+                    entry.alternative = null;
+                }
+                this.videos.push(entry);
             }
         }
     }
 
-    extractTikTokTitle(element) {
+    extractTikTokTitle(element, shadowRoots) {
         // Try to find TikTok video title
         const titleSelectors = [
             '[data-e2e="browse-video-desc"]',
@@ -829,7 +1525,7 @@ if (window.videoDetectorInstance) {
         ];
 
         for (const selector of titleSelectors) {
-            const titleElement = document.querySelector(selector);
+            const titleElement = this.deepQuerySelector(selector, shadowRoots);
             if (titleElement && titleElement.textContent.trim()) {
                 return this.sanitizeTitle(titleElement.textContent.trim());
             }
@@ -838,7 +1534,7 @@ if (window.videoDetectorInstance) {
         return 'TikTok Video';
     }
 
-    extractFacebookTitle(element) {
+    extractFacebookTitle(element, shadowRoots) {
         // Try to find Facebook video title
         const titleSelectors = [
             '[data-ad-preview="message"]',
@@ -848,7 +1544,7 @@ if (window.videoDetectorInstance) {
         ];
 
         for (const selector of titleSelectors) {
-            const titleElement = document.querySelector(selector);
+            const titleElement = this.deepQuerySelector(selector, shadowRoots);
             if (titleElement && titleElement.textContent.trim()) {
                 return this.sanitizeTitle(titleElement.textContent.trim());
             }
@@ -857,7 +1553,7 @@ if (window.videoDetectorInstance) {
         return 'Facebook Video';
     }
 
-    extractYouTubeTitle(element) {
+    extractYouTubeTitle(element, shadowRoots) {
         // Try to find YouTube video title
         const titleSelectors = [
             'h1.title',
@@ -867,7 +1563,7 @@ if (window.videoDetectorInstance) {
         ];
 
         for (const selector of titleSelectors) {
-            const titleElement = document.querySelector(selector);
+            const titleElement = this.deepQuerySelector(selector, shadowRoots);
             if (titleElement) {
                 const title = titleElement.textContent || titleElement.content;
                 if (title && title.trim()) {
@@ -879,7 +1575,7 @@ if (window.videoDetectorInstance) {
         return 'YouTube Video';
     }
 
-    extractInstagramTitle(element) {
+    extractInstagramTitle(element, shadowRoots) {
         const titleSelectors = [
             'meta[property="og:title"]',
             'h1',
@@ -887,7 +1583,7 @@ if (window.videoDetectorInstance) {
         ];
 
         for (const selector of titleSelectors) {
-            const titleElement = document.querySelector(selector);
+            const titleElement = this.deepQuerySelector(selector, shadowRoots);
             if (titleElement) {
                 const title = titleElement.textContent || titleElement.content;
                 if (title && title.trim()) {
@@ -899,7 +1595,7 @@ if (window.videoDetectorInstance) {
         return 'Instagram Video';
     }
 
-    extractTwitterTitle(element) {
+    extractTwitterTitle(element, shadowRoots) {
         const titleSelectors = [
             '[data-testid="tweetText"]',
             'meta[property="og:title"]',
@@ -907,7 +1603,7 @@ if (window.videoDetectorInstance) {
         ];
 
         for (const selector of titleSelectors) {
-            const titleElement = document.querySelector(selector);
+            const titleElement = this.deepQuerySelector(selector, shadowRoots);
             if (titleElement) {
                 const title = titleElement.textContent || titleElement.content;
                 if (title && title.trim()) {
@@ -919,7 +1615,7 @@ if (window.videoDetectorInstance) {
         return 'Twitter Video';
     }
 
-    extractTwitchTitle(element) {
+    extractTwitchTitle(element, shadowRoots) {
         const titleSelectors = [
             'h1[data-a-target="stream-title"]',
             '.channel-info-content h1',
@@ -927,7 +1623,7 @@ if (window.videoDetectorInstance) {
         ];
 
         for (const selector of titleSelectors) {
-            const titleElement = document.querySelector(selector);
+            const titleElement = this.deepQuerySelector(selector, shadowRoots);
             if (titleElement) {
                 const title = titleElement.textContent || titleElement.content;
                 if (title && title.trim()) {
@@ -939,35 +1635,24 @@ if (window.videoDetectorInstance) {
         return 'Twitch Video';
     }
 
-    extractPlatformTitle(element, platform) {
+    extractPlatformTitle(element, platform, shadowRoots) {
         switch (platform) {
             case 'tiktok':
-                return this.extractTikTokTitle(element);
+                return this.extractTikTokTitle(element, shadowRoots);
             case 'facebook':
-                return this.extractFacebookTitle(element);
+                return this.extractFacebookTitle(element, shadowRoots);
             case 'youtube':
-                return this.extractYouTubeTitle(element);
+                return this.extractYouTubeTitle(element, shadowRoots);
             case 'instagram':
-                return this.extractInstagramTitle(element);
+                return this.extractInstagramTitle(element, shadowRoots);
             case 'twitter':
-                return this.extractTwitterTitle(element);
+                return this.extractTwitterTitle(element, shadowRoots);
             case 'twitch':
-                return this.extractTwitchTitle(element);
+                return this.extractTwitchTitle(element, shadowRoots);
             default:
-                return this.extractVideoTitle(element);
+                return this.extractVideoTitle(element, null, shadowRoots);
         }
     }
-
-    removeDuplicates(videos) {
-        const seen = new Set();
-        return videos.filter(video => {
-            if (seen.has(video.src)) {
-                return false;
-            }
-            seen.add(video.src);
-            return true;
-        });
-    }
     }
 
     // Initialize video detector when content script loads
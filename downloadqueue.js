@@ -0,0 +1,434 @@
+// Video DownloadHelper - Download Queue
+// Persistent queue for direct (chrome.downloads), multi-connection ranged
+// and segmented stream downloads, with global and per-host concurrency
+// limits, priorities and pause/resume/cancel per item. Stream and ranged
+// jobs keep checkpoints, so they continue after a pause or a service
+// worker/browser restart instead of starting over.
+
+const QUEUE_STORAGE_KEY = 'downloadQueue';
+const QUEUE_DEFAULT_LIMITS = { maxConcurrent: 3, maxPerHost: 2 };
+const QUEUE_SAVE_DELAY = 1000; // Progress updates are saved at most once a second
+const QUEUE_KEEPALIVE_INTERVAL = 20000; // Below the worker's 30 s idle timeout
+// The part of a popup entry a job needs; thumbnails, subtitles and page
+// metadata stay out of the stored queue
+const QUEUE_VIDEO_FIELDS = ['url', 'title', 'format', 'variantId', 'audioLanguage', 'tabId'];
+
+class DownloadQueue {
+    // runner provides startDirectDownload(job) -> downloadId,
+    // resumeDirectDownload(job), runStreamDownload(job, task) ->
+    // { downloadId } for 'stream' and 'ranged' jobs,
+    // discardCheckpoint(jobId) and releaseJob(job), called once a job has
+    // finished; it reports interrupted direct downloads through
+    // replaceDownload and failDownload
+    constructor(runner) {
+        this.runner = runner;
+        this.jobs = [];
+        this.limits = { ...QUEUE_DEFAULT_LIMITS };
+        this.controllers = new Map(); // job id -> AbortController of a running stream job
+        this.saveTimer = null;
+        this.keepAliveTimer = null;
+        this.ready = this.load();
+    }
+
+    async load() {
+        try {
+            const stored = (await chrome.storage.local.get([QUEUE_STORAGE_KEY]))[QUEUE_STORAGE_KEY];
+            if (stored) {
+                this.jobs = stored.jobs || [];
+                this.limits = { ...QUEUE_DEFAULT_LIMITS, ...stored.limits };
+            }
+            await this.recoverJobs();
+        } catch (error) {
+            console.error('Error loading download queue:', error);
+        }
+
+        this.schedule();
+    }
+
+    // After a service worker restart: stream jobs that were running go back
+    // in line and continue from their checkpoint, direct jobs follow what
+    // chrome.downloads says about them
+    async recoverJobs() {
+        for (const job of this.jobs.filter(item => item.status === 'running')) {
+            if (job.kind !== 'direct' || job.downloadId === null) {
+                job.status = 'queued';
+                continue;
+            }
+
+            const [item] = await chrome.downloads.search({ id: job.downloadId });
+            if (!item || item.state === 'interrupted') {
+                this.markFinished(job, 'failed', item ? item.error : 'Không tìm thấy tệp tải xuống');
+            } else if (item.state === 'complete') {
+                this.markFinished(job, 'completed');
+            } else if (item.paused) {
+                job.status = 'paused';
+            }
+        }
+        await this.save();
+    }
+
+    async save() {
+        clearTimeout(this.saveTimer);
+        this.saveTimer = null;
+
+        try {
+            await chrome.storage.local.set({
+                [QUEUE_STORAGE_KEY]: { jobs: this.jobs, limits: this.limits }
+            });
+        } catch (error) {
+            console.error('Error saving download queue:', error);
+        }
+    }
+
+    saveSoon() {
+        if (!this.saveTimer) {
+            this.saveTimer = setTimeout(() => this.save(), QUEUE_SAVE_DELAY);
+        }
+    }
+
+    async add({ kind, video, filename, priority = 0 }) {
+        await this.ready;
+
+        const job = {
+            id: `job_${Date.now()}_${Math.random().toString(36).slice(2, 8)}`,
+            kind: kind,
+            video: this.pickVideoFields(video),
+            filename: filename || video.title || '',
+            host: this.getHost(video.url),
+            priority: priority,
+            status: 'queued',
+            createdAt: Date.now(),
+            startedAt: null,
+            finishedAt: null,
+            progress: { done: 0, total: 0, bytes: 0, totalBytes: 0 },
+            downloadId: null,
+            error: null
+        };
+        this.jobs.push(job);
+
+        await this.save();
+        this.schedule();
+        return job;
+    }
+
+    pickVideoFields(video) {
+        const picked = {};
+        QUEUE_VIDEO_FIELDS.forEach(field => {
+            if (video[field] !== undefined) {
+                picked[field] = video[field];
+            }
+        });
+        return picked;
+    }
+
+    getHost(url) {
+        try {
+            return new URL(url).hostname;
+        } catch {
+            return '';
+        }
+    }
+
+    getJob(id) {
+        const job = this.jobs.find(item => item.id === id);
+        if (!job) {
+            throw new Error('Không tìm thấy mục trong hàng đợi');
+        }
+        return job;
+    }
+
+    // Jobs in display order; running direct downloads get fresh byte counts
+    async list() {
+        await this.ready;
+
+        for (const job of this.jobs) {
+            if (job.kind === 'direct' && job.downloadId !== null && ['running', 'paused'].includes(job.status)) {
+                const [item] = await chrome.downloads.search({ id: job.downloadId });
+                if (item) {
+                    job.progress.bytes = item.bytesReceived;
+                    job.progress.totalBytes = item.totalBytes > 0 ? item.totalBytes : 0;
+                }
+            }
+        }
+
+        return [...this.jobs].sort((a, b) => this.compareJobs(a, b));
+    }
+
+    // Higher priority first, then first come first served
+    compareJobs(a, b) {
+        return b.priority - a.priority || a.createdAt - b.createdAt;
+    }
+
+    // Start queued jobs while the global and per-host limits allow it
+    schedule() {
+        const running = this.jobs.filter(job => job.status === 'running');
+        const queued = this.jobs
+            .filter(job => job.status === 'queued')
+            .sort((a, b) => this.compareJobs(a, b));
+
+        for (const job of queued) {
+            if (running.length >= this.limits.maxConcurrent) break;
+
+            const sameHost = running.filter(other => other.host === job.host).length;
+            if (sameHost >= this.limits.maxPerHost) continue;
+
+            running.push(job);
+            this.start(job);
+        }
+    }
+
+    async start(job) {
+        job.status = 'running';
+        job.startedAt = Date.now();
+        job.error = null;
+        await this.save();
+
+        // Paused or cancelled while saving
+        if (job.status !== 'running') return;
+
+        if (job.kind === 'direct') {
+            await this.startDirect(job);
+        } else {
+            await this.runStream(job);
+        }
+    }
+
+    async startDirect(job) {
+        try {
+            if (job.downloadId !== null) {
+                // Paused earlier: continue the same browser download
+                await this.runner.resumeDirectDownload(job);
+            } else {
+                job.downloadId = await this.runner.startDirectDownload(job);
+                // Paused or cancelled while the download was starting
+                if (job.status === 'cancelled') {
+                    await chrome.downloads.cancel(job.downloadId);
+                } else if (job.status === 'paused') {
+                    await chrome.downloads.pause(job.downloadId);
+                }
+            }
+            await this.save();
+        } catch (error) {
+            console.error('Queued download failed to start:', error);
+            this.finish(job, 'failed', error.message);
+        }
+    }
+
+    // The task object carries the abort signal and the progress counters
+    // the fetch loop updates; segments restored from the checkpoint count
+    // towards the progress again
+    async runStream(job) {
+        const controller = new AbortController();
+        this.controllers.set(job.id, controller);
+        this.keepAlive();
+        job.progress = { done: 0, total: 0, bytes: 0, totalBytes: 0 };
+
+        const task = {
+            signal: controller.signal,
+            progress: job.progress,
+            onProgress: () => this.saveSoon()
+        };
+
+        try {
+            const result = await this.runner.runStreamDownload(job, task);
+            job.downloadId = result.downloadId;
+            // A pause or cancel during the final mux and save still holds
+            if (job.status === 'running') {
+                this.finish(job, 'completed');
+                await this.discardCheckpoint(job);
+            } else if (job.status === 'cancelled') {
+                await this.discardCheckpoint(job);
+            }
+        } catch (error) {
+            // Pause and cancel already set the status
+            if (!controller.signal.aborted) {
+                console.error('Queued stream download failed:', error);
+                this.finish(job, 'failed', error.message);
+            } else if (job.status === 'cancelled') {
+                await this.discardCheckpoint(job);
+            }
+        } finally {
+            this.controllers.delete(job.id);
+            this.keepAlive();
+        }
+    }
+
+    // Segment fetches are not extension events, so on their own they do not
+    // keep the service worker alive; a cheap API call every 20 s does
+    keepAlive() {
+        if (this.controllers.size > 0 && !this.keepAliveTimer) {
+            this.keepAliveTimer = setInterval(() => chrome.runtime.getPlatformInfo(), QUEUE_KEEPALIVE_INTERVAL);
+        } else if (this.controllers.size === 0 && this.keepAliveTimer) {
+            clearInterval(this.keepAliveTimer);
+            this.keepAliveTimer = null;
+        }
+    }
+
+    async discardCheckpoint(job) {
+        if (job.kind === 'direct') return;
+
+        try {
+            await this.runner.discardCheckpoint(job.id);
+        } catch (error) {
+            console.warn('Could not discard stream checkpoint:', error);
+        }
+    }
+
+    markFinished(job, status, error = null) {
+        job.status = status;
+        job.error = error;
+        job.finishedAt = Date.now();
+        this.runner.releaseJob(job);
+    }
+
+    finish(job, status, error = null) {
+        this.markFinished(job, status, error);
+        this.save();
+        this.schedule();
+    }
+
+    async pause(id) {
+        await this.ready;
+        const job = this.getJob(id);
+        if (job.status !== 'running' && job.status !== 'queued') return;
+
+        const wasRunning = job.status === 'running';
+        job.status = 'paused';
+
+        if (wasRunning && job.kind === 'direct') {
+            // Without an id the download is still starting; startDirect
+            // pauses it once it has one
+            if (job.downloadId !== null) {
+                await chrome.downloads.pause(job.downloadId);
+            }
+        } else if (wasRunning) {
+            this.controllers.get(job.id)?.abort();
+        }
+
+        await this.save();
+        this.schedule();
+    }
+
+    // Paused and failed jobs go back in line
+    async resume(id) {
+        await this.ready;
+        const job = this.getJob(id);
+
+        if (job.status === 'paused' || job.status === 'failed') {
+            if (job.status === 'failed' && job.kind === 'direct' && job.downloadId !== null) {
+                // Continue the interrupted download if the browser can,
+                // otherwise start a new one
+                const [item] = await chrome.downloads.search({ id: job.downloadId });
+                if (!item || !item.canResume) {
+                    job.downloadId = null;
+                }
+            }
+            job.status = 'queued';
+            job.error = null;
+            await this.save();
+            this.schedule();
+        }
+    }
+
+    async cancel(id) {
+        await this.ready;
+        const job = this.getJob(id);
+        if (['completed', 'failed', 'cancelled'].includes(job.status)) return;
+
+        const wasRunning = job.status === 'running';
+        this.markFinished(job, 'cancelled');
+
+        if (job.kind === 'direct' && job.downloadId !== null) {
+            try {
+                await chrome.downloads.cancel(job.downloadId);
+            } catch (error) {
+                console.warn('Could not cancel browser download:', error);
+            }
+        } else if (wasRunning) {
+            // runStream discards the checkpoint once the fetches stop
+            this.controllers.get(job.id)?.abort();
+        } else {
+            await this.discardCheckpoint(job);
+        }
+
+        await this.save();
+        this.schedule();
+    }
+
+    async setPriority(id, priority) {
+        await this.ready;
+        this.getJob(id).priority = priority;
+        await this.save();
+        this.schedule();
+    }
+
+    async setLimits(limits) {
+        await this.ready;
+        this.limits = {
+            maxConcurrent: Math.max(1, parseInt(limits.maxConcurrent, 10) || this.limits.maxConcurrent),
+            maxPerHost: Math.max(1, parseInt(limits.maxPerHost, 10) || this.limits.maxPerHost)
+        };
+        await this.save();
+        this.schedule();
+    }
+
+    // Failed stream jobs keep their checkpoint for a retry until cleared
+    async clearFinished() {
+        await this.ready;
+        const finished = this.jobs.filter(job => ['completed', 'failed', 'cancelled'].includes(job.status));
+        this.jobs = this.jobs.filter(job => !finished.includes(job));
+        await this.save();
+
+        for (const job of finished.filter(item => item.status === 'failed')) {
+            await this.discardCheckpoint(job);
+        }
+    }
+
+    findDirectJob(downloadId) {
+        return this.jobs.find(item => item.kind === 'direct' && item.downloadId === downloadId);
+    }
+
+    // The runner retries interrupted downloads; it asks first whether the
+    // job still wants the download
+    wantsRetry(downloadId) {
+        const job = this.findDirectJob(downloadId);
+        return !job || job.status === 'running';
+    }
+
+    // A retry that could not resume started a new browser download
+    replaceDownload(oldId, newId) {
+        const job = this.findDirectJob(oldId);
+        if (job) {
+            job.downloadId = newId;
+            this.save();
+        }
+    }
+
+    // The runner gave up on an interrupted download
+    failDownload(downloadId, reason) {
+        const job = this.findDirectJob(downloadId);
+        if (job && job.status === 'running') {
+            this.finish(job, 'failed', reason);
+        }
+    }
+
+    // chrome.downloads.onChanged for direct jobs; interruptions go through
+    // the runner's retries and end in failDownload
+    handleDownloadChange(delta) {
+        const job = this.findDirectJob(delta.id);
+        if (!job || job.status === 'cancelled') return;
+
+        if (delta.state && delta.state.current === 'complete') {
+            this.finish(job, 'completed');
+        } else if (delta.paused && job.status === 'running' && delta.paused.current) {
+            // Paused from the browser's download UI
+            job.status = 'paused';
+            this.save();
+            this.schedule();
+        } else if (delta.paused && job.status === 'paused' && !delta.paused.current) {
+            // Resumed from there; it runs even if that goes over the limits
+            job.status = 'running';
+            this.save();
+        }
+    }
+}
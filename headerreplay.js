@@ -0,0 +1,146 @@
+// Video DownloadHelper - Header Replay
+// Requests made by the extension carry none of the page's context, and many
+// CDNs refuse them without the page's Referer, Origin or auth headers.
+// Headers that fetch() and chrome.downloads accept are passed along
+// directly; the others are set by declarativeNetRequest session rules on
+// requests from outside any tab, which is where the extension's own
+// requests come from. Every download works in a scope: it only replays
+// what its own tab sent, and its rules are removed when it ends.
+
+// Request headers worth replaying; the browser manages the rest itself
+const REPLAY_HEADERS = ['referer', 'origin', 'cookie', 'authorization'];
+const REPLAY_HEADER_PREFIX = 'x-';
+// fetch() and chrome.downloads refuse to set these
+const REPLAY_FORBIDDEN_HEADERS = ['referer', 'origin', 'cookie'];
+
+class HeaderReplay {
+    // lookup(url, tabId) -> headers captured in that tab ({ name: value })
+    // or null
+    constructor(lookup) {
+        this.lookup = lookup;
+        this.nextRuleId = 1;
+        this.ready = this.clearRules();
+    }
+
+    // The replayable part of webRequest requestHeaders, names lowercased
+    static pick(requestHeaders) {
+        const headers = {};
+        (requestHeaders || []).forEach(({ name, value }) => {
+            const lower = name.toLowerCase();
+            if (value !== undefined && (REPLAY_HEADERS.includes(lower) || lower.startsWith(REPLAY_HEADER_PREFIX))) {
+                headers[lower] = value;
+            }
+        });
+        return headers;
+    }
+
+    // Session rules outlive the service worker, the scopes that owned them
+    // do not
+    async clearRules() {
+        try {
+            const rules = await chrome.declarativeNetRequest.getSessionRules();
+            if (rules.length > 0) {
+                await chrome.declarativeNetRequest.updateSessionRules({
+                    removeRuleIds: rules.map(rule => rule.id)
+                });
+            }
+        } catch (error) {
+            console.error('Error clearing header rules:', error);
+        }
+    }
+
+    // One download started from tabId; release() it when the download ends
+    createScope(tabId) {
+        return {
+            tabId: typeof tabId === 'number' && tabId >= 0 ? tabId : null,
+            rules: new Map(), // host -> { id, signature, pending }
+            released: false
+        };
+    }
+
+    // Headers to pass to fetch(); the forbidden ones are put in a session
+    // rule for the host before this returns. Without a scope nothing is
+    // replayed.
+    async prepare(url, scope) {
+        if (!scope || scope.tabId === null) {
+            return {};
+        }
+
+        const headers = (await this.lookup(url, scope.tabId)) || {};
+        const direct = {};
+        const forbidden = [];
+
+        Object.entries(headers).forEach(([name, value]) => {
+            if (REPLAY_FORBIDDEN_HEADERS.includes(name)) {
+                forbidden.push({ header: name, operation: 'set', value: value });
+            } else {
+                direct[name] = value;
+            }
+        });
+
+        if (forbidden.length > 0) {
+            await this.updateRule(url, scope, forbidden);
+        }
+        return direct;
+    }
+
+    // chrome.downloads.download takes [{ name, value }]
+    async prepareDownload(url, scope) {
+        const headers = await this.prepare(url, scope);
+        return Object.entries(headers).map(([name, value]) => ({ name: name, value: value }));
+    }
+
+    // Rules are per scope and host. Rule ids only grow, so with two
+    // downloads on one host the newer one's rule has the higher priority.
+    async updateRule(url, scope, requestHeaders) {
+        await this.ready;
+        // A fetch that was still looking up headers when its download ended
+        if (scope.released) return;
+
+        const host = new URL(url).hostname;
+        const signature = JSON.stringify(requestHeaders);
+        const existing = scope.rules.get(host);
+        if (existing && existing.signature === signature) {
+            // Parallel segment fetches wait for the same rule
+            return existing.pending;
+        }
+
+        const id = existing ? existing.id : this.nextRuleId++;
+        const pending = chrome.declarativeNetRequest.updateSessionRules({
+            removeRuleIds: [id],
+            addRules: [{
+                id: id,
+                priority: id,
+                action: { type: 'modifyHeaders', requestHeaders: requestHeaders },
+                condition: {
+                    requestDomains: [host],
+                    initiatorDomains: [chrome.runtime.id],
+                    tabIds: [chrome.tabs.TAB_ID_NONE]
+                }
+            }]
+        }).catch(error => {
+            scope.rules.delete(host);
+            console.error('Error updating header rule:', error);
+        });
+
+        scope.rules.set(host, { id: id, signature: signature, pending: pending });
+        return pending;
+    }
+
+    async release(scope) {
+        if (!scope) return;
+        scope.released = true;
+        if (scope.rules.size === 0) return;
+
+        const entries = [...scope.rules.values()];
+        scope.rules.clear();
+        try {
+            await Promise.all(entries.map(entry => entry.pending));
+            await chrome.declarativeNetRequest.updateSessionRules({
+                removeRuleIds: entries.map(entry => entry.id)
+            });
+        } catch (error) {
+            console.error('Error removing header rules:', error);
+        }
+    }
+}
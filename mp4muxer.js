@@ -0,0 +1,407 @@
+// Video DownloadHelper - Fragmented MP4 Muxer
+// Writes demuxed samples into a fragmented MP4 (ftyp + moov + moof/mdat
+// pairs). Samples are copied as they are; nothing is re-encoded.
+//
+// A track is { id, type: 'video'|'audio', codec, timescale, width, height,
+// sampleRate, channels, config, samples }, and each sample is
+// { data: Uint8Array, dts, duration, cts, isKeyframe } in track timescale.
+// Tracks read from fMP4 carry raw sampleEntries instead of config; their
+// samples then name a 1-based sampleDescriptionIndex.
+
+const MOVIE_TIMESCALE = 1000;
+
+class MP4Muxer {
+    constructor(options = {}) {
+        this.fragmentDuration = options.fragmentDuration || 2; // seconds
+        this.sequenceNumber = 0;
+    }
+
+    // Returns an array of Uint8Array parts, ready for new Blob(parts)
+    mux(tracks) {
+        this.alignTracks(tracks);
+        const parts = [this.ftyp(tracks), this.moov(tracks)];
+
+        this.fragmentRanges(tracks).forEach(range => {
+            tracks.forEach((track, index) => {
+                const samples = track.samples.slice(range[index].start, range[index].end);
+                if (samples.length > 0) {
+                    parts.push(...this.fragment(track, samples));
+                }
+            });
+        });
+
+        return parts;
+    }
+
+    // Shift all tracks together so the earliest sample starts at zero
+    alignTracks(tracks) {
+        const start = Math.min(...tracks.map(track => track.samples[0].dts / track.timescale));
+        if (!start) return;
+
+        tracks.forEach(track => {
+            const shift = Math.round(start * track.timescale);
+            track.samples.forEach(sample => {
+                sample.dts = Math.max(0, sample.dts - shift);
+            });
+        });
+    }
+
+    // Cut every fragmentDuration seconds at video keyframes; all tracks
+    // are cut at the same points so the output stays interleaved
+    fragmentRanges(tracks) {
+        const leader = tracks.find(track => track.type === 'video') || tracks[0];
+        const cuts = [];
+        let fragmentStart = null;
+
+        leader.samples.forEach(sample => {
+            const time = sample.dts / leader.timescale;
+            const canCut = leader.type !== 'video' || sample.isKeyframe;
+            if (fragmentStart === null || (canCut && time - fragmentStart >= this.fragmentDuration)) {
+                if (fragmentStart !== null) cuts.push(time);
+                fragmentStart = time;
+            }
+        });
+        cuts.push(Infinity);
+
+        const positions = tracks.map(() => 0);
+        return cuts.map(cut => tracks.map((track, index) => {
+            const start = positions[index];
+            let end = start;
+            while (end < track.samples.length && track.samples[end].dts / track.timescale < cut) {
+                end++;
+            }
+            positions[index] = end;
+            return { start, end };
+        }));
+    }
+
+    ftyp(tracks) {
+        const brands = ['isom', 'iso6', 'iso2', 'mp41'];
+        if (tracks.some(track => track.codec === 'avc' || track.codec === 'avc1')) brands.push('avc1');
+
+        return this.box('ftyp',
+            this.fourcc('isom'),
+            this.u32(0x200),
+            ...brands.map(brand => this.fourcc(brand)));
+    }
+
+    moov(tracks) {
+        const duration = Math.max(...tracks.map(track => this.trackDuration(track) / track.timescale));
+        const movieDuration = Math.round(duration * MOVIE_TIMESCALE);
+
+        return this.box('moov',
+            this.mvhd(movieDuration, Math.max(...tracks.map(track => track.id)) + 1),
+            ...tracks.map(track => this.trak(track, movieDuration)),
+            this.box('mvex',
+                this.fullBox('mehd', 1, 0, this.u64(movieDuration)),
+                ...tracks.map(track => this.trex(track))));
+    }
+
+    trackDuration(track) {
+        if (track.samples.length === 0) return 0;
+        const last = track.samples[track.samples.length - 1];
+        return last.dts + last.duration - track.samples[0].dts;
+    }
+
+    mvhd(duration, nextTrackId) {
+        return this.fullBox('mvhd', 1, 0,
+            this.u64(0), this.u64(0),
+            this.u32(MOVIE_TIMESCALE),
+            this.u64(duration),
+            this.u32(0x00010000), // rate 1.0
+            this.u16(0x0100), // volume 1.0
+            new Uint8Array(10),
+            this.matrix(),
+            new Uint8Array(24),
+            this.u32(nextTrackId));
+    }
+
+    trak(track, movieDuration) {
+        const isVideo = track.type === 'video';
+
+        return this.box('trak',
+            this.fullBox('tkhd', 1, 0x000003,
+                this.u64(0), this.u64(0),
+                this.u32(track.id),
+                this.u32(0),
+                this.u64(movieDuration),
+                new Uint8Array(8),
+                this.u16(0), // layer
+                this.u16(0), // alternate_group
+                this.u16(isVideo ? 0 : 0x0100),
+                this.u16(0),
+                this.matrix(),
+                this.u32((track.width || 0) * 65536),
+                this.u32((track.height || 0) * 65536)),
+            this.box('mdia',
+                this.fullBox('mdhd', 1, 0,
+                    this.u64(0), this.u64(0),
+                    this.u32(track.timescale),
+                    this.u64(this.trackDuration(track)),
+                    this.u16(this.languageCode(track.language)),
+                    this.u16(0)),
+                this.fullBox('hdlr', 0, 0,
+                    this.u32(0),
+                    this.fourcc(isVideo ? 'vide' : 'soun'),
+                    new Uint8Array(12),
+                    this.cstring(isVideo ? 'VideoHandler' : 'SoundHandler')),
+                this.box('minf',
+                    isVideo
+                        ? this.fullBox('vmhd', 0, 1, new Uint8Array(8))
+                        : this.fullBox('smhd', 0, 0, new Uint8Array(4)),
+                    this.box('dinf',
+                        this.fullBox('dref', 0, 0, this.u32(1), this.fullBox('url ', 0, 1))),
+                    this.box('stbl',
+                        this.stsd(track),
+                        this.fullBox('stts', 0, 0, this.u32(0)),
+                        this.fullBox('stsc', 0, 0, this.u32(0)),
+                        this.fullBox('stsz', 0, 0, this.u32(0), this.u32(0)),
+                        this.fullBox('stco', 0, 0, this.u32(0))))));
+    }
+
+    trex(track) {
+        return this.fullBox('trex', 0, 0,
+            this.u32(track.id),
+            this.u32(1), // default_sample_description_index
+            this.u32(0), this.u32(0), this.u32(0));
+    }
+
+    stsd(track) {
+        const entries = track.sampleEntries || [this.sampleEntry(track)];
+        return this.fullBox('stsd', 0, 0, this.u32(entries.length), ...entries);
+    }
+
+    sampleEntry(track) {
+        switch (track.codec) {
+            case 'avc':
+                return this.visualSampleEntry('avc1', track, this.avcC(track.config));
+            case 'hevc':
+                return this.visualSampleEntry('hvc1', track, this.hvcC(track.config));
+            case 'aac':
+                return this.audioSampleEntry(track, this.esds(0x40, track.config.asc));
+            case 'mp3':
+                // MPEG-1 audio is object type 0x6B, MPEG-2 audio 0x69
+                return this.audioSampleEntry(track, this.esds(track.config.mpegVersion === 1 ? 0x6b : 0x69, null));
+            default:
+                throw new Error(`Unsupported codec: ${track.codec}`);
+        }
+    }
+
+    visualSampleEntry(type, track, configBox) {
+        const compressorName = new Uint8Array(32);
+        return this.box(type,
+            new Uint8Array(6), this.u16(1), // reserved, data_reference_index
+            new Uint8Array(16), // pre_defined, reserved
+            this.u16(track.width), this.u16(track.height),
+            this.u32(0x00480000), this.u32(0x00480000), // 72 dpi
+            this.u32(0),
+            this.u16(1), // frame_count
+            compressorName,
+            this.u16(0x0018), // depth
+            this.u16(0xffff), // pre_defined = -1
+            configBox);
+    }
+
+    audioSampleEntry(track, configBox) {
+        return this.box('mp4a',
+            new Uint8Array(6), this.u16(1),
+            new Uint8Array(8),
+            this.u16(track.channels), this.u16(16),
+            this.u16(0), this.u16(0),
+            this.u32((track.sampleRate & 0xffff) * 65536),
+            configBox);
+    }
+
+    avcC(config) {
+        const sps = config.sps;
+        return this.box('avcC', this.concat([
+            new Uint8Array([1, sps[1], sps[2], sps[3], 0xff, 0xe1]),
+            this.u16(sps.length), sps,
+            new Uint8Array([1]),
+            this.u16(config.pps.length), config.pps
+        ]));
+    }
+
+    hvcC(config) {
+        const info = config.info;
+        const arrays = [[32, config.vps], [33, config.sps], [34, config.pps]].filter(([, nal]) => nal);
+        const constraint = new Uint8Array(info.constraintFlags);
+
+        return this.box('hvcC', this.concat([
+            new Uint8Array([
+                1,
+                (info.generalProfileSpace << 6) | (info.generalTier << 5) | info.generalProfileIdc
+            ]),
+            this.u32(info.compatibilityFlags),
+            constraint,
+            new Uint8Array([
+                info.generalLevelIdc,
+                0xf0, 0x00, // min_spatial_segmentation_idc
+                0xfc, // parallelismType
+                0xfc | info.chromaFormatIdc,
+                0xf8 | info.bitDepthLumaMinus8,
+                0xf8 | info.bitDepthChromaMinus8,
+                0x00, 0x00, // avgFrameRate
+                (info.numTemporalLayers << 3) | (info.temporalIdNesting << 2) | 0x03,
+                arrays.length
+            ]),
+            ...arrays.map(([type, nal]) => this.concat([
+                new Uint8Array([0x80 | type]), // array_completeness
+                this.u16(1),
+                this.u16(nal.length),
+                nal
+            ]))
+        ]));
+    }
+
+    esds(objectType, decoderSpecificInfo) {
+        const specific = decoderSpecificInfo ? this.descriptor(0x05, decoderSpecificInfo) : new Uint8Array(0);
+        const decoderConfig = this.descriptor(0x04, this.concat([
+            new Uint8Array([objectType, 0x15]), // streamType audio
+            new Uint8Array(3), // bufferSizeDB
+            this.u32(0), this.u32(0), // max/avg bitrate
+            specific
+        ]));
+
+        return this.fullBox('esds', 0, 0, this.descriptor(0x03, this.concat([
+            this.u16(0), // ES_ID
+            new Uint8Array([0]),
+            decoderConfig,
+            this.descriptor(0x06, new Uint8Array([0x02]))
+        ])));
+    }
+
+    descriptor(tag, payload) {
+        // Four-byte expandable size keeps the layout simple
+        const size = payload.length;
+        return this.concat([
+            new Uint8Array([tag, 0x80 | (size >> 21) & 0x7f, 0x80 | (size >> 14) & 0x7f, 0x80 | (size >> 7) & 0x7f, size & 0x7f]),
+            payload
+        ]);
+    }
+
+    // moof + mdat pairs for one track, split where the sample description
+    // changes; sample data is referenced, not copied
+    fragment(track, samples) {
+        const parts = [];
+        let runStart = 0;
+
+        for (let i = 1; i <= samples.length; i++) {
+            const index = samples[runStart].sampleDescriptionIndex || 1;
+            if (i === samples.length || (samples[i].sampleDescriptionIndex || 1) !== index) {
+                parts.push(...this.fragmentRun(track, samples.slice(runStart, i), index));
+                runStart = i;
+            }
+        }
+        return parts;
+    }
+
+    fragmentRun(track, samples, sampleDescriptionIndex) {
+        this.sequenceNumber++;
+        const isVideo = track.type === 'video';
+        const hasCts = samples.some(sample => sample.cts);
+        const signedCts = samples.some(sample => sample.cts < 0);
+        const mdatSize = samples.reduce((total, sample) => total + sample.data.length, 8);
+
+        const trunFlags = 0x000001 | 0x000100 | 0x000200 | 0x000400 | (hasCts ? 0x000800 : 0);
+        const tfhd = sampleDescriptionIndex === 1
+            ? this.fullBox('tfhd', 0, 0x020000, this.u32(track.id)) // default-base-is-moof
+            : this.fullBox('tfhd', 0, 0x020002, this.u32(track.id), this.u32(sampleDescriptionIndex));
+        const entries = samples.map(sample => this.concat([
+            this.u32(sample.duration),
+            this.u32(sample.data.length),
+            this.u32(this.sampleFlags(sample, isVideo)),
+            hasCts ? this.u32(sample.cts) : new Uint8Array(0)
+        ]));
+
+        const buildMoof = dataOffset => this.box('moof',
+            this.fullBox('mfhd', 0, 0, this.u32(this.sequenceNumber)),
+            this.box('traf',
+                tfhd,
+                this.fullBox('tfdt', 1, 0, this.u64(samples[0].dts)),
+                this.fullBox('trun', signedCts ? 1 : 0, trunFlags,
+                    this.u32(samples.length),
+                    this.u32(dataOffset),
+                    ...entries)));
+
+        // data_offset points past the moof and the mdat header
+        const moofSize = buildMoof(0).length;
+        const moof = buildMoof(moofSize + 8);
+
+        return [moof, this.concat([this.u32(mdatSize), this.fourcc('mdat')]), ...samples.map(sample => sample.data)];
+    }
+
+    sampleFlags(sample, isVideo) {
+        if (!isVideo || sample.isKeyframe) {
+            return 0x02000000; // sample_depends_on = 2 (independent)
+        }
+        return 0x01010000; // depends on others, non-sync
+    }
+
+    languageCode(language) {
+        const code = /^[a-z]{3}$/.test(language || '') ? language : 'und';
+        return ((code.charCodeAt(0) - 0x60) << 10) | ((code.charCodeAt(1) - 0x60) << 5) | (code.charCodeAt(2) - 0x60);
+    }
+
+    matrix() {
+        return this.concat([
+            this.u32(0x00010000), this.u32(0), this.u32(0),
+            this.u32(0), this.u32(0x00010000), this.u32(0),
+            this.u32(0), this.u32(0), this.u32(0x40000000)
+        ]);
+    }
+
+    box(type, ...payloads) {
+        const size = payloads.reduce((total, payload) => total + payload.length, 8);
+        const out = new Uint8Array(size);
+        new DataView(out.buffer).setUint32(0, size);
+        out.set(this.fourcc(type), 4);
+
+        let offset = 8;
+        payloads.forEach(payload => {
+            out.set(payload, offset);
+            offset += payload.length;
+        });
+        return out;
+    }
+
+    fullBox(type, version, flags, ...payloads) {
+        return this.box(type, new Uint8Array([version, (flags >> 16) & 0xff, (flags >> 8) & 0xff, flags & 0xff]), ...payloads);
+    }
+
+    concat(arrays) {
+        const out = new Uint8Array(arrays.reduce((total, array) => total + array.length, 0));
+        let offset = 0;
+        arrays.forEach(array => {
+            out.set(array, offset);
+            offset += array.length;
+        });
+        return out;
+    }
+
+    fourcc(text) {
+        return new Uint8Array([...text].map(char => char.charCodeAt(0)));
+    }
+
+    cstring(text) {
+        return this.concat([this.fourcc(text), new Uint8Array(1)]);
+    }
+
+    u16(value) {
+        return new Uint8Array([(value >> 8) & 0xff, value & 0xff]);
+    }
+
+    u32(value) {
+        const out = new Uint8Array(4);
+        new DataView(out.buffer).setUint32(0, value >>> 0);
+        return out;
+    }
+
+    u64(value) {
+        const out = new Uint8Array(8);
+        const view = new DataView(out.buffer);
+        view.setUint32(0, Math.floor(value / 4294967296));
+        view.setUint32(4, value >>> 0);
+        return out;
+    }
+}
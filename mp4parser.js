@@ -0,0 +1,360 @@
+// Video DownloadHelper - Fragmented MP4 Parser
+// Reads init segments (moov) and media segments (moof/mdat) from HLS
+// EXT-X-MAP and DASH streams, producing tracks in the shape MP4Muxer writes.
+
+class MP4Parser {
+    // True when the data starts with an ISO BMFF box we expect in segments
+    static probe(data) {
+        const bytes = data instanceof Uint8Array ? data : new Uint8Array(data);
+        if (bytes.length < 8) return false;
+
+        const type = String.fromCharCode(bytes[4], bytes[5], bytes[6], bytes[7]);
+        return ['ftyp', 'styp', 'moov', 'moof', 'sidx', 'emsg', 'prft'].includes(type);
+    }
+
+    readBoxes(bytes, start = 0, end = bytes.length) {
+        const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+        const boxes = [];
+        let offset = start;
+
+        while (offset + 8 <= end) {
+            let size = view.getUint32(offset);
+            const type = String.fromCharCode(bytes[offset + 4], bytes[offset + 5], bytes[offset + 6], bytes[offset + 7]);
+            let headerSize = 8;
+
+            if (size === 1) {
+                size = Number(view.getBigUint64(offset + 8));
+                headerSize = 16;
+            } else if (size === 0) {
+                size = end - offset;
+            }
+            if (size < headerSize || offset + size > end) break;
+
+            boxes.push({ type: type, start: offset, headerSize: headerSize, end: offset + size });
+            offset += size;
+        }
+
+        return boxes;
+    }
+
+    findBox(bytes, parent, path) {
+        let box = parent;
+        for (const type of path) {
+            box = this.readBoxes(bytes, box.start + box.headerSize, box.end).find(child => child.type === type);
+            if (!box) return null;
+        }
+        return box;
+    }
+
+    // Init segment -> { tracks: [{ id, type, timescale, sampleEntries, ... }] }
+    parseInit(data) {
+        const bytes = data instanceof Uint8Array ? data : new Uint8Array(data);
+        const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+        const moov = this.readBoxes(bytes).find(box => box.type === 'moov');
+        if (!moov) {
+            throw new Error('Init segment không chứa moov');
+        }
+
+        const defaults = new Map();
+        const mvex = this.findBox(bytes, moov, ['mvex']);
+        if (mvex) {
+            this.readBoxes(bytes, mvex.start + 8, mvex.end)
+                .filter(box => box.type === 'trex')
+                .forEach(trex => {
+                    const offset = trex.start + 12;
+                    defaults.set(view.getUint32(offset), {
+                        sampleDescriptionIndex: view.getUint32(offset + 4),
+                        duration: view.getUint32(offset + 8),
+                        size: view.getUint32(offset + 12),
+                        flags: view.getUint32(offset + 16)
+                    });
+                });
+        }
+
+        const tracks = this.readBoxes(bytes, moov.start + 8, moov.end)
+            .filter(box => box.type === 'trak')
+            .map(trak => this.parseTrak(bytes, view, trak, defaults))
+            .filter(track => track.type === 'video' || track.type === 'audio');
+
+        return { tracks: tracks };
+    }
+
+    parseTrak(bytes, view, trak, defaults) {
+        const tkhd = this.findBox(bytes, trak, ['tkhd']);
+        const mdhd = this.findBox(bytes, trak, ['mdia', 'mdhd']);
+        const hdlr = this.findBox(bytes, trak, ['mdia', 'hdlr']);
+        const stsd = this.findBox(bytes, trak, ['mdia', 'minf', 'stbl', 'stsd']);
+
+        const tkhdVersion = bytes[tkhd.start + 8];
+        const id = view.getUint32(tkhd.start + (tkhdVersion === 1 ? 28 : 20));
+
+        const mdhdVersion = bytes[mdhd.start + 8];
+        const timescale = view.getUint32(mdhd.start + (mdhdVersion === 1 ? 28 : 20));
+        const languageBits = view.getUint16(mdhd.start + (mdhdVersion === 1 ? 40 : 28));
+        const language = String.fromCharCode(
+            ((languageBits >> 10) & 0x1f) + 0x60,
+            ((languageBits >> 5) & 0x1f) + 0x60,
+            (languageBits & 0x1f) + 0x60);
+
+        const handler = String.fromCharCode(...bytes.subarray(hdlr.start + 16, hdlr.start + 20));
+        const type = handler === 'vide' ? 'video' : handler === 'soun' ? 'audio' : handler;
+
+        // Sample entries are kept as raw boxes and written back unchanged
+        const sampleEntries = this.readBoxes(bytes, stsd.start + 16, stsd.end)
+            .map(entry => bytes.slice(entry.start, entry.end));
+        const entry = sampleEntries[0];
+        const entryView = entry ? new DataView(entry.buffer) : null;
+        const codec = entry ? String.fromCharCode(entry[4], entry[5], entry[6], entry[7]) : '';
+
+        const track = {
+            id: id,
+            type: type,
+            codec: codec,
+            timescale: timescale,
+            language: language,
+            sampleEntries: sampleEntries,
+            encrypted: ['encv', 'enca'].includes(codec),
+            defaults: defaults.get(id) || { sampleDescriptionIndex: 1, duration: 0, size: 0, flags: 0 },
+            width: Math.round(view.getUint32(tkhd.end - 8) / 65536),
+            height: Math.round(view.getUint32(tkhd.end - 4) / 65536)
+        };
+
+        if (type === 'video' && entryView && !track.width) {
+            track.width = entryView.getUint16(32);
+            track.height = entryView.getUint16(34);
+        }
+        if (type === 'audio' && entryView) {
+            track.channels = entryView.getUint16(24);
+            track.sampleRate = entryView.getUint32(32) >>> 16;
+        }
+
+        return track;
+    }
+
+    // Media segment -> Map(trackId -> samples). Sample data is a view into
+    // the segment, not a copy. nextDts carries decode times across
+    // segments that have no tfdt.
+    parseFragments(data, init, nextDts = new Map()) {
+        const bytes = data instanceof Uint8Array ? data : new Uint8Array(data);
+        const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+        const samplesByTrack = new Map();
+
+        this.readBoxes(bytes).filter(box => box.type === 'moof').forEach(moof => {
+            this.readBoxes(bytes, moof.start + 8, moof.end)
+                .filter(box => box.type === 'traf')
+                .forEach(traf => this.parseTraf(bytes, view, moof, traf, init, nextDts, samplesByTrack));
+        });
+
+        return samplesByTrack;
+    }
+
+    parseTraf(bytes, view, moof, traf, init, nextDts, samplesByTrack) {
+        const children = this.readBoxes(bytes, traf.start + 8, traf.end);
+        const tfhd = children.find(box => box.type === 'tfhd');
+        if (!tfhd) return;
+
+        const tfhdFlags = view.getUint32(tfhd.start + 8) & 0xffffff;
+        const trackId = view.getUint32(tfhd.start + 12);
+        const track = init.tracks.find(candidate => candidate.id === trackId);
+        if (!track) return;
+
+        let offset = tfhd.start + 16;
+        let baseOffset = moof.start;
+        const defaults = { ...track.defaults };
+
+        if (tfhdFlags & 0x000001) {
+            baseOffset = Number(view.getBigUint64(offset));
+            offset += 8;
+        }
+        if (tfhdFlags & 0x000002) {
+            defaults.sampleDescriptionIndex = view.getUint32(offset);
+            offset += 4;
+        }
+        if (tfhdFlags & 0x000008) {
+            defaults.duration = view.getUint32(offset);
+            offset += 4;
+        }
+        if (tfhdFlags & 0x000010) {
+            defaults.size = view.getUint32(offset);
+            offset += 4;
+        }
+        if (tfhdFlags & 0x000020) {
+            defaults.flags = view.getUint32(offset);
+        }
+
+        const tfdt = children.find(box => box.type === 'tfdt');
+        let dts = nextDts.get(trackId) || 0;
+        if (tfdt) {
+            dts = bytes[tfdt.start + 8] === 1
+                ? Number(view.getBigUint64(tfdt.start + 12))
+                : view.getUint32(tfdt.start + 12);
+        }
+
+        if (!samplesByTrack.has(trackId)) {
+            samplesByTrack.set(trackId, []);
+        }
+        const samples = samplesByTrack.get(trackId);
+
+        children.filter(box => box.type === 'trun').forEach(trun => {
+            const version = bytes[trun.start + 8];
+            const flags = view.getUint32(trun.start + 8) & 0xffffff;
+            const count = view.getUint32(trun.start + 12);
+            let position = trun.start + 16;
+            let dataOffset = baseOffset;
+            let firstSampleFlags = null;
+
+            if (flags & 0x000001) {
+                dataOffset = baseOffset + view.getInt32(position);
+                position += 4;
+            }
+            if (flags & 0x000004) {
+                firstSampleFlags = view.getUint32(position);
+                position += 4;
+            }
+
+            for (let i = 0; i < count; i++) {
+                const duration = flags & 0x000100 ? view.getUint32((position += 4) - 4) : defaults.duration;
+                const size = flags & 0x000200 ? view.getUint32((position += 4) - 4) : defaults.size;
+                let sampleFlags = flags & 0x000400 ? view.getUint32((position += 4) - 4) : defaults.flags;
+                let cts = 0;
+                if (flags & 0x000800) {
+                    cts = version === 1 ? view.getInt32(position) : view.getUint32(position);
+                    position += 4;
+                }
+                if (i === 0 && firstSampleFlags !== null) {
+                    sampleFlags = firstSampleFlags;
+                }
+
+                samples.push({
+                    data: bytes.subarray(dataOffset, dataOffset + size),
+                    dts: dts,
+                    duration: duration,
+                    cts: cts,
+                    isKeyframe: ((sampleFlags >> 16) & 0x01) === 0,
+                    sampleDescriptionIndex: defaults.sampleDescriptionIndex
+                });
+
+                dts += duration;
+                dataOffset += size;
+            }
+        });
+
+        nextDts.set(trackId, dts);
+    }
+
+    // Ordered pieces ({ init, data, discontinuity }) -> muxer tracks, one
+    // per media type. Init segments that change along the way (new period,
+    // discontinuity) become extra sample entries; timestamps are rescaled
+    // to the first init's timescale and kept continuous across jumps.
+    readTracks(pieces) {
+        const parsedInits = new Map();
+        const output = new Map(); // media type -> output track
+        const nextDts = new Map();
+        let lastInit = null;
+
+        pieces.forEach(piece => {
+            if (!piece.init) {
+                throw new Error('Segment fMP4 thiếu init segment');
+            }
+
+            if (!parsedInits.has(piece.init)) {
+                parsedInits.set(piece.init, this.parseInit(piece.init));
+            }
+            const init = parsedInits.get(piece.init);
+
+            // Decode times restart with a new init or discontinuity
+            if (init !== lastInit || piece.discontinuity) {
+                nextDts.clear();
+            }
+            lastInit = init;
+
+            const samplesByTrack = this.parseFragments(piece.data, init, nextDts);
+
+            // First track of each media type, as players pick by default
+            const sources = init.tracks.filter((track, index, all) =>
+                all.findIndex(other => other.type === track.type) === index);
+
+            sources.forEach(source => {
+                if (source.encrypted) {
+                    throw new Error('Stream được bảo vệ bằng DRM (CENC) - không thể tải xuống');
+                }
+
+                const samples = samplesByTrack.get(source.id) || [];
+                if (samples.length === 0) return;
+
+                let track = output.get(source.type);
+                if (!track) {
+                    track = {
+                        id: output.size + 1,
+                        type: source.type,
+                        codec: source.codec,
+                        timescale: source.timescale,
+                        language: source.language,
+                        width: source.width,
+                        height: source.height,
+                        channels: source.channels,
+                        sampleRate: source.sampleRate,
+                        sampleEntries: [],
+                        samples: [],
+                        sourceOffset: null
+                    };
+                    output.set(source.type, track);
+                }
+
+                this.appendSamples(track, source, samples);
+            });
+        });
+
+        return [...output.values()].map(track => {
+            delete track.sourceOffset;
+            return track;
+        });
+    }
+
+    appendSamples(track, source, samples) {
+        // Map the source's sample entries onto the output track's list
+        const entryIndexes = source.sampleEntries.map(entry => {
+            let index = track.sampleEntries.findIndex(existing => this.sameBytes(existing, entry));
+            if (index === -1) {
+                track.sampleEntries.push(entry);
+                index = track.sampleEntries.length - 1;
+            }
+            return index + 1;
+        });
+
+        const scale = track.timescale / source.timescale;
+        const last = track.samples[track.samples.length - 1];
+        const expected = last ? last.dts + last.duration : null;
+        const firstDts = Math.round(samples[0].dts * scale);
+
+        // Keep the timeline continuous when decode times jump back or
+        // leave a gap of more than a second
+        if (track.sourceOffset === null || expected === null) {
+            track.sourceOffset = 0;
+        }
+        let adjusted = firstDts + track.sourceOffset;
+        if (expected !== null && (adjusted < expected || adjusted - expected > track.timescale)) {
+            track.sourceOffset = expected - firstDts;
+            adjusted = expected;
+        }
+
+        samples.forEach(sample => {
+            track.samples.push({
+                data: sample.data,
+                dts: Math.round(sample.dts * scale) + track.sourceOffset,
+                duration: Math.round(sample.duration * scale),
+                cts: Math.round(sample.cts * scale),
+                isKeyframe: sample.isKeyframe,
+                sampleDescriptionIndex: entryIndexes[sample.sampleDescriptionIndex - 1] || 1
+            });
+        });
+    }
+
+    sameBytes(a, b) {
+        if (a.length !== b.length) return false;
+        for (let i = 0; i < a.length; i++) {
+            if (a[i] !== b[i]) return false;
+        }
+        return true;
+    }
+}
@@ -0,0 +1,107 @@
+// Video DownloadHelper - Offscreen Document
+// Creates blob URLs for data assembled by the service worker, which has no
+// URL.createObjectURL. Blobs are handed over through IndexedDB, and large
+// ranged downloads are joined here from their checkpoint chunks.
+
+const DB_NAME = 'video-downloadhelper';
+
+class BlobUrlHelper {
+    constructor() {
+        this.init();
+    }
+
+    init() {
+        chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
+            // Popup messages reach this page too; only answer our own
+            if (request.target !== 'offscreen') {
+                return false;
+            }
+            
+            this.handleMessage(request, sendResponse);
+            return true; // Async response
+        });
+    }
+
+    async handleMessage(request, sendResponse) {
+        try {
+            if (request.action === 'createBlobUrl') {
+                const blob = await this.readBlob(request.key);
+                if (!blob) {
+                    throw new Error(`Blob not found: ${request.key}`);
+                }
+                sendResponse({ url: URL.createObjectURL(blob) });
+            } else if (request.action === 'createStoredBlobUrl') {
+                const blob = await this.joinStoredChunks(request.storeName, request.keys, request.type);
+                sendResponse({ url: URL.createObjectURL(blob) });
+            } else if (request.action === 'revokeBlobUrl') {
+                URL.revokeObjectURL(request.url);
+                await this.deleteBlob(request.key);
+                sendResponse({ success: true });
+            }
+        } catch (error) {
+            console.error('Offscreen message error:', error);
+            sendResponse({ error: error.message });
+        }
+    }
+
+    openDatabase() {
+        return new Promise((resolve, reject) => {
+            // Opened without a version and closed after each use: the
+            // service worker owns the schema and may need to upgrade it
+            const request = indexedDB.open(DB_NAME);
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        });
+    }
+
+    readBlob(key) {
+        return this.readEntry('blobs', key);
+    }
+
+    async readEntry(storeName, key) {
+        const db = await this.openDatabase();
+        return new Promise((resolve, reject) => {
+            const request = db.transaction(storeName).objectStore(storeName).get(key);
+            request.onsuccess = () => {
+                db.close();
+                resolve(request.result);
+            };
+            request.onerror = () => {
+                db.close();
+                reject(request.error);
+            };
+        });
+    }
+
+    // One chunk in memory at a time; the blob system keeps the rest, on
+    // disk when it is large
+    async joinStoredChunks(storeName, keys, type) {
+        let blob = new Blob([], { type: type });
+        for (const key of keys) {
+            const chunk = await this.readEntry(storeName, key);
+            if (!chunk) {
+                throw new Error(`Chunk not found: ${key}`);
+            }
+            blob = new Blob([blob, chunk], { type: type });
+        }
+        return blob;
+    }
+
+    async deleteBlob(key) {
+        const db = await this.openDatabase();
+        return new Promise((resolve, reject) => {
+            const tx = db.transaction('blobs', 'readwrite');
+            tx.objectStore('blobs').delete(key);
+            tx.oncomplete = () => {
+                db.close();
+                resolve();
+            };
+            tx.onerror = () => {
+                db.close();
+                reject(tx.error);
+            };
+        });
+    }
+}
+
+new BlobUrlHelper();
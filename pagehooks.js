@@ -0,0 +1,415 @@
+// Video DownloadHelper - Page Hooks
+// Runs in the page's main world at document_start. content.js lives in an
+// isolated world where patching fetch/XHR only catches its own requests;
+// here the player's requests and MediaSource objects are visible. Findings
+// go to content.js through window.postMessage.
+// MediaSource playback can also be captured: while a capture runs, the data
+// the player appends to each SourceBuffer is kept and handed to content.js
+// as one file per SourceBuffer. Encrypted (EME) media is never captured.
+// Everything stays inside this closure, so page scripts get no handle on
+// the hooks; the manifest injects the file once per document.
+
+(() => {
+    const HOOKS_MESSAGE_SOURCE = 'video-downloadhelper-hooks';
+    const CONTENT_MESSAGE_SOURCE = 'video-downloadhelper-content';
+
+    // Manifests served without a telling extension are recognised by type
+    const MANIFEST_TYPES = {
+        'application/vnd.apple.mpegurl': 'HLS',
+        'application/x-mpegurl': 'HLS',
+        'audio/mpegurl': 'HLS',
+        'audio/x-mpegurl': 'HLS',
+        'application/dash+xml': 'DASH'
+    };
+
+    // Captures stop on their own past this many bytes per page
+    const CAPTURE_MAX_BYTES = 1024 * 1024 * 1024;
+    const CAPTURE_EXTENSIONS = {
+        'video/mp4': 'mp4',
+        'audio/mp4': 'm4a',
+        'video/webm': 'webm',
+        'audio/webm': 'weba',
+        'video/mp2t': 'ts',
+        'audio/mpeg': 'mp3',
+        'audio/aac': 'aac'
+    };
+    // Boxes that only appear in the init segment of encrypted MP4
+    const ENCRYPTED_INIT_BOXES = ['encv', 'enca', 'pssh'];
+
+    class PageHooks {
+        constructor() {
+            this.found = []; // Replayed to content.js, which loads at document_idle
+            this.seen = new Set();
+            this.mediaSources = new WeakMap(); // MediaSource -> capture state
+            this.captures = new Map(); // blob: URL -> capture state
+            this.sourceBuffers = new WeakMap(); // SourceBuffer -> track
+
+            this.hookFetch();
+            this.hookXhr();
+            this.hookMediaSource();
+            this.hookSourceBuffer();
+            this.hookMediaKeys();
+            this.listen();
+        }
+
+        hookFetch() {
+            const originalFetch = window.fetch;
+            const hooks = this;
+
+            window.fetch = function(input, init) {
+                const url = input instanceof Request ? input.url : String(input);
+                hooks.inspectUrl(url, 'fetch');
+
+                const promise = originalFetch.apply(this, arguments);
+                promise
+                    .then(response => hooks.inspectResponse(response.url || url, response.headers.get('Content-Type'), 'fetch'))
+                    .catch(() => {});
+                return promise;
+            };
+        }
+
+        hookXhr() {
+            const originalOpen = XMLHttpRequest.prototype.open;
+            const hooks = this;
+
+            XMLHttpRequest.prototype.open = function(method, url) {
+                const requestUrl = String(url);
+                hooks.inspectUrl(requestUrl, 'xhr');
+
+                this.addEventListener('load', function() {
+                    hooks.inspectResponse(this.responseURL || requestUrl, this.getResponseHeader('Content-Type'), 'xhr');
+                });
+                return originalOpen.apply(this, arguments);
+            };
+        }
+
+        // Players attach a MediaSource through a blob: URL, then add one
+        // SourceBuffer per track
+        hookMediaSource() {
+            const constructors = [window.MediaSource, window.ManagedMediaSource].filter(Boolean);
+            if (constructors.length === 0) return;
+
+            const hooks = this;
+            const originalCreateObjectURL = URL.createObjectURL;
+
+            URL.createObjectURL = function(object) {
+                const url = originalCreateObjectURL.apply(this, arguments);
+                if (constructors.some(MediaSourceClass => object instanceof MediaSourceClass)) {
+                    const state = {
+                        url: url,
+                        mimeTypes: [],
+                        tracks: [],
+                        encrypted: false,
+                        capturing: false,
+                        bytes: 0
+                    };
+                    hooks.mediaSources.set(object, state);
+                    hooks.captures.set(url, state);
+                    hooks.reportMediaSource(state);
+                }
+                return url;
+            };
+
+            constructors.forEach(MediaSourceClass => {
+                const originalAddSourceBuffer = MediaSourceClass.prototype.addSourceBuffer;
+
+                MediaSourceClass.prototype.addSourceBuffer = function(mimeType) {
+                    const sourceBuffer = originalAddSourceBuffer.apply(this, arguments);
+                    const state = hooks.mediaSources.get(this);
+                    if (state) {
+                        const track = { state: state, mimeType: String(mimeType), init: null, groups: [] };
+                        state.mimeTypes.push(track.mimeType);
+                        state.tracks.push(track);
+                        hooks.sourceBuffers.set(sourceBuffer, track);
+                        hooks.reportMediaSource(state);
+                    }
+                    return sourceBuffer;
+                };
+            });
+        }
+
+        // ManagedSourceBuffer inherits from SourceBuffer, so one hook
+        // covers both
+        hookSourceBuffer() {
+            if (!window.SourceBuffer) return;
+
+            const hooks = this;
+            const originalAppendBuffer = SourceBuffer.prototype.appendBuffer;
+
+            SourceBuffer.prototype.appendBuffer = function(data) {
+                try {
+                    hooks.recordAppend(this, data);
+                } catch (error) {
+                    console.warn('Could not record appended media:', error);
+                }
+                return originalAppendBuffer.apply(this, arguments);
+            };
+        }
+
+        // An element playing encrypted media gets MediaKeys or fires
+        // 'encrypted'; either marks its MediaSource as not capturable
+        hookMediaKeys() {
+            const hooks = this;
+
+            if (window.HTMLMediaElement && HTMLMediaElement.prototype.setMediaKeys) {
+                const originalSetMediaKeys = HTMLMediaElement.prototype.setMediaKeys;
+
+                HTMLMediaElement.prototype.setMediaKeys = function(mediaKeys) {
+                    if (mediaKeys) {
+                        hooks.markEncrypted(this.src);
+                    }
+                    return originalSetMediaKeys.apply(this, arguments);
+                };
+            }
+
+            // 'encrypted' does not bubble, but capturing listeners see it
+            document.addEventListener('encrypted', (event) => {
+                if (event.target && event.target.src) {
+                    hooks.markEncrypted(event.target.src);
+                }
+            }, true);
+        }
+
+        recordAppend(sourceBuffer, data) {
+            const track = this.sourceBuffers.get(sourceBuffer);
+            if (!track) return;
+
+            const view = ArrayBuffer.isView(data)
+                ? new Uint8Array(data.buffer, data.byteOffset, data.byteLength)
+                : new Uint8Array(data);
+            const state = track.state;
+
+            // Players append the init segment again on every quality switch;
+            // it is kept even when not capturing, as a capture started
+            // mid-playback needs it
+            if (this.isInitSegment(view)) {
+                track.init = view.slice();
+                if (this.isEncryptedInit(view)) {
+                    this.markEncrypted(state.url);
+                }
+                return;
+            }
+
+            if (!state.capturing || state.encrypted) return;
+
+            if (state.bytes + view.byteLength > CAPTURE_MAX_BYTES) {
+                state.capturing = false;
+                state.limitReached = true;
+                return;
+            }
+
+            // Media data belongs to the init segment it was appended after;
+            // switching back to an earlier quality continues its group
+            let group = track.groups.find(item => this.sameBytes(item.init, track.init));
+            if (!group) {
+                group = { init: track.init, chunks: [], bytes: 0 };
+                track.groups.push(group);
+            }
+            group.chunks.push(view.slice());
+            group.bytes += view.byteLength;
+            state.bytes += view.byteLength;
+        }
+
+        // MP4 starts with ftyp (or moov), WebM with the EBML header
+        isInitSegment(view) {
+            if (view.byteLength >= 8) {
+                const type = String.fromCharCode(view[4], view[5], view[6], view[7]);
+                if (type === 'ftyp' || type === 'moov') return true;
+            }
+            return view.byteLength >= 4 &&
+                view[0] === 0x1A && view[1] === 0x45 && view[2] === 0xDF && view[3] === 0xA3;
+        }
+
+        isEncryptedInit(view) {
+            const text = new TextDecoder('latin1').decode(view.subarray(0, 65536));
+            return ENCRYPTED_INIT_BOXES.some(box => text.includes(box));
+        }
+
+        sameBytes(a, b) {
+            if (a === b) return true;
+            if (!a || !b || a.byteLength !== b.byteLength) return false;
+
+            for (let i = 0; i < a.byteLength; i++) {
+                if (a[i] !== b[i]) return false;
+            }
+            return true;
+        }
+
+        markEncrypted(url) {
+            const state = this.captures.get(url);
+            if (!state || state.encrypted) return;
+
+            // Whatever was captured cannot be played back anyway
+            state.encrypted = true;
+            state.capturing = false;
+            this.discardCapture(state);
+            this.reportMediaSource(state);
+        }
+
+        discardCapture(state) {
+            state.tracks.forEach(track => {
+                track.groups = [];
+            });
+            state.bytes = 0;
+        }
+
+        getCaptureStatus(state) {
+            return {
+                url: state.url,
+                capturing: state.capturing,
+                encrypted: state.encrypted,
+                limitReached: Boolean(state.limitReached),
+                bytes: state.bytes,
+                tracks: state.tracks.map(track => ({
+                    mimeType: track.mimeType,
+                    bytes: track.groups.reduce((total, group) => total + group.bytes, 0)
+                }))
+            };
+        }
+
+        // One file per SourceBuffer: its init segment followed by the media
+        // appended after it. Of several qualities the one with the most
+        // data is kept.
+        buildCaptureFiles(state) {
+            const files = [];
+
+            state.tracks.forEach(track => {
+                const group = track.groups.reduce((best, item) => (!best || item.bytes > best.bytes ? item : best), null);
+                if (!group) return;
+
+                const mimeType = track.mimeType.split(';')[0].trim().toLowerCase();
+                const parts = group.init ? [group.init, ...group.chunks] : group.chunks;
+                files.push({
+                    kind: mimeType.startsWith('audio/') ? 'audio' : 'video',
+                    mimeType: track.mimeType,
+                    extension: CAPTURE_EXTENSIONS[mimeType] || 'bin',
+                    bytes: group.bytes,
+                    blob: new Blob(parts, { type: mimeType })
+                });
+            });
+
+            return files;
+        }
+
+        // start: record from now on; save: stop and return the files;
+        // discard: stop and drop the data; status: progress only
+        handleCaptureCommand(command, url) {
+            const state = this.captures.get(url);
+            if (!state) {
+                throw new Error('Không tìm thấy MediaSource của video');
+            }
+
+            switch (command) {
+                case 'start':
+                    if (state.encrypted) {
+                        throw new Error('Video được mã hóa (DRM), không thể ghi lại');
+                    }
+                    state.capturing = true;
+                    state.limitReached = false;
+                    return { status: this.getCaptureStatus(state) };
+                case 'save': {
+                    state.capturing = false;
+                    const files = this.buildCaptureFiles(state);
+                    this.discardCapture(state);
+                    return { status: this.getCaptureStatus(state), files: files };
+                }
+                case 'discard':
+                    state.capturing = false;
+                    this.discardCapture(state);
+                    return { status: this.getCaptureStatus(state) };
+                case 'status':
+                    return { status: this.getCaptureStatus(state) };
+                default:
+                    throw new Error(`Lệnh không hợp lệ: ${command}`);
+            }
+        }
+
+        inspectUrl(url, via) {
+            const absolute = this.resolveUrl(url);
+            const format = absolute ? this.getManifestFormat(absolute) : null;
+            if (format) {
+                this.report({ kind: 'manifest', url: absolute, format: format, via: via });
+            }
+        }
+
+        inspectResponse(url, contentType, via) {
+            const absolute = this.resolveUrl(url);
+            const type = (contentType || '').split(';')[0].trim().toLowerCase();
+            if (absolute && MANIFEST_TYPES[type]) {
+                this.report({ kind: 'manifest', url: absolute, format: MANIFEST_TYPES[type], via: via });
+            }
+        }
+
+        getManifestFormat(url) {
+            let path = url;
+            try {
+                path = new URL(url).pathname;
+            } catch {
+                // Keep the raw URL
+            }
+
+            if (/\.m3u8$/i.test(path)) return 'HLS';
+            if (/\.mpd$/i.test(path)) return 'DASH';
+            return null;
+        }
+
+        resolveUrl(url) {
+            try {
+                const resolved = new URL(url, window.location.href);
+                return resolved.protocol === 'http:' || resolved.protocol === 'https:' ? resolved.href : null;
+            } catch {
+                return null;
+            }
+        }
+
+        reportMediaSource(state) {
+            this.report({
+                kind: 'mediasource',
+                url: state.url,
+                mimeTypes: [...state.mimeTypes],
+                encrypted: state.encrypted
+            });
+        }
+
+        report(item) {
+            const key = `${item.kind}|${item.url}|${(item.mimeTypes || []).join(',')}|${item.encrypted ? 'encrypted' : ''}`;
+            if (this.seen.has(key)) return;
+
+            this.seen.add(key);
+            this.found.push(item);
+            this.post([item]);
+        }
+
+        // '/' keeps the message within this document's origin
+        post(items) {
+            window.postMessage({ source: HOOKS_MESSAGE_SOURCE, items: items }, '/');
+        }
+
+        listen() {
+            window.addEventListener('message', (event) => {
+                if (event.source !== window || event.origin !== window.location.origin) return;
+
+                const data = event.data;
+                if (!data || data.source !== CONTENT_MESSAGE_SOURCE) return;
+
+                if (data.type === 'replay') {
+                    this.post(this.found);
+                } else if (data.type === 'capture') {
+                    this.answerCapture(data);
+                }
+            });
+        }
+
+        answerCapture(data) {
+            const reply = { source: HOOKS_MESSAGE_SOURCE, type: 'capture', requestId: data.requestId };
+            try {
+                reply.result = this.handleCaptureCommand(data.command, data.url);
+            } catch (error) {
+                reply.error = error.message;
+            }
+            window.postMessage(reply, '/');
+        }
+    }
+
+    new PageHooks();
+})();
@@ -0,0 +1,282 @@
+// Video DownloadHelper - Player Configs
+// Runs in the page's main world next to pagehooks.js. Players set up from
+// JavaScript (JW Player, Video.js, Plyr, Flowplayer, Clappr, hls.js) keep
+// their sources in their own config and playlist APIs, which the isolated
+// content script cannot reach. content.js asks for them on every scan.
+// The reader stays inside this closure, out of reach of page scripts.
+
+(() => {
+    const HOOKS_MESSAGE_SOURCE = 'video-downloadhelper-hooks';
+    const CONTENT_MESSAGE_SOURCE = 'video-downloadhelper-content';
+    const PLAYER_MAX_INSTANCES = 50; // jwplayer(index) has no instance list
+
+    class PlayerConfigs {
+        constructor() {
+            this.hlsPlayers = new Set(); // hls.js instances that attached media or loaded a source
+            this.clapprPlayers = new Set(); // Clappr players that were attached, loaded or configured
+            this.trackedPrototypes = new WeakSet();
+            this.watchGlobal('Hls', Hls => this.trackInstances(Hls, ['loadSource', 'attachMedia'], this.hlsPlayers));
+            this.watchGlobal('Clappr', Clappr => this.trackInstances(Clappr.Player, ['attachTo', 'load', 'configure'], this.clapprPlayers));
+            this.listen();
+        }
+
+        // hls.js and Clappr keep no instance list. Their global is replaced
+        // by an accessor, so the library is patched as soon as its script
+        // defines it; one that is already there is patched right away.
+        watchGlobal(name, patch) {
+            const descriptor = Object.getOwnPropertyDescriptor(window, name);
+            let value = window[name];
+            const apply = () => {
+                try {
+                    if (value) patch(value);
+                } catch (error) {
+                    console.warn(`Could not patch ${name}:`, error);
+                }
+            };
+
+            apply();
+            if (descriptor && !descriptor.configurable) return;
+
+            Object.defineProperty(window, name, {
+                configurable: true,
+                enumerable: true,
+                get: () => value,
+                set: (newValue) => {
+                    value = newValue;
+                    apply();
+                }
+            });
+        }
+
+        // Instances are kept from the first call of one of the methods
+        // until destroy()
+        trackInstances(PlayerClass, methods, instances) {
+            const prototype = PlayerClass && PlayerClass.prototype;
+            if (!prototype || this.trackedPrototypes.has(prototype)) return;
+            this.trackedPrototypes.add(prototype);
+
+            methods.forEach(name => {
+                const original = prototype[name];
+                if (typeof original !== 'function') return;
+                prototype[name] = function() {
+                    instances.add(this);
+                    return original.apply(this, arguments);
+                };
+            });
+
+            const originalDestroy = prototype.destroy;
+            if (typeof originalDestroy === 'function') {
+                prototype.destroy = function() {
+                    instances.delete(this);
+                    return originalDestroy.apply(this, arguments);
+                };
+            }
+        }
+
+        // [{ player, title, poster, sources: [{ url, type, label, height }] }]
+        read() {
+            const readers = [
+                () => this.readJwPlayer(),
+                () => this.readVideoJs(),
+                () => this.readPlyr(),
+                () => this.readFlowplayer(),
+                () => this.readClappr(),
+                () => this.readHls()
+            ];
+
+            const players = [];
+            readers.forEach(reader => {
+                try {
+                    players.push(...reader());
+                } catch (error) {
+                    console.warn('Could not read player config:', error);
+                }
+            });
+            return players.filter(player => player.sources.length > 0);
+        }
+
+        // Every playlist item of every instance
+        readJwPlayer() {
+            if (typeof window.jwplayer !== 'function') return [];
+
+            const players = [];
+            for (let index = 0; index < PLAYER_MAX_INSTANCES; index++) {
+                const player = window.jwplayer(index);
+                if (!player || typeof player.getPlaylist !== 'function') break;
+
+                (player.getPlaylist() || []).forEach(item => {
+                    const sources = item.sources && item.sources.length > 0 ? item.sources : [{ file: item.file }];
+                    players.push({
+                        player: 'JW Player',
+                        title: item.title || '',
+                        poster: this.resolveUrl(item.image),
+                        sources: this.makeSources(sources.map(source => ({
+                            url: source.file,
+                            type: source.type,
+                            label: source.label,
+                            height: source.height
+                        })))
+                    });
+                });
+            }
+            return players;
+        }
+
+        readVideoJs() {
+            const videojs = window.videojs;
+            if (typeof videojs !== 'function') return [];
+
+            const instances = typeof videojs.getPlayers === 'function' ? videojs.getPlayers() : videojs.players || {};
+            return Object.values(instances).filter(Boolean).map(player => {
+                const options = player.options_ || {};
+                const sources = [
+                    ...(typeof player.currentSources === 'function' ? player.currentSources() : []),
+                    ...(options.sources || [])
+                ];
+
+                return {
+                    player: 'Video.js',
+                    title: (player.mediainfo && player.mediainfo.name) || options.title || '',
+                    poster: this.resolveUrl(typeof player.poster === 'function' ? player.poster() : options.poster),
+                    sources: this.makeSources(sources.map(source => ({
+                        url: source.src,
+                        type: source.type,
+                        label: source.label,
+                        height: source.res || source.height
+                    })))
+                };
+            });
+        }
+
+        // Plyr keeps its instance on the media element
+        readPlyr() {
+            if (typeof window.Plyr !== 'function') return [];
+
+            return Array.from(document.querySelectorAll('video, audio'))
+                .filter(media => media.plyr)
+                .map(media => {
+                    const player = media.plyr;
+                    const sources = Array.from(media.querySelectorAll('source')).map(source => ({
+                        url: source.src,
+                        type: source.type,
+                        label: source.getAttribute('size') ? `${source.getAttribute('size')}p` : '',
+                        height: parseInt(source.getAttribute('size'), 10) || 0
+                    }));
+                    sources.push({ url: player.source });
+
+                    return {
+                        player: 'Plyr',
+                        title: (player.config && player.config.title) || '',
+                        poster: this.resolveUrl(player.poster),
+                        sources: this.makeSources(sources)
+                    };
+                });
+        }
+
+        // Flowplayer 7 keeps the clip in conf.clip, the native player
+        // (8+) in opts.src; both list their instances
+        readFlowplayer() {
+            const flowplayer = window.flowplayer;
+            if (!flowplayer || !Array.isArray(flowplayer.instances)) return [];
+
+            return flowplayer.instances.map(instance => {
+                const conf = instance.conf || instance.opts || {};
+                const clip = (instance.video && instance.video.sources ? instance.video : conf.clip) || {};
+                let sources = clip.sources || conf.src || [];
+                if (!Array.isArray(sources)) {
+                    sources = [sources];
+                }
+
+                return {
+                    player: 'Flowplayer',
+                    title: clip.title || conf.title || '',
+                    poster: this.resolveUrl(conf.poster || (typeof conf.splash === 'string' ? conf.splash : '')),
+                    sources: this.makeSources(sources.map(source => (typeof source === 'string'
+                        ? { url: source }
+                        : { url: source.src, type: source.type, label: source.label, height: source.height })))
+                };
+            });
+        }
+
+        readClappr() {
+            return Array.from(this.clapprPlayers).map(player => {
+                const options = player.options || {};
+                let sources = options.sources || options.source || [];
+                if (!Array.isArray(sources)) {
+                    sources = [sources];
+                }
+
+                return {
+                    player: 'Clappr',
+                    title: options.title || '',
+                    poster: this.resolveUrl(typeof options.poster === 'string' ? options.poster : options.poster && options.poster.url),
+                    sources: this.makeSources(sources.map(source => (typeof source === 'string'
+                        ? { url: source }
+                        : { url: source.source, type: source.mimeType })))
+                };
+            });
+        }
+
+        // hls.js instances expose the manifest they loaded
+        readHls() {
+            const urls = new Set();
+            this.hlsPlayers.forEach(instance => {
+                if (instance.url) {
+                    urls.add(String(instance.url));
+                }
+            });
+
+            return Array.from(urls).map(url => ({
+                player: 'hls.js',
+                title: '',
+                poster: '',
+                sources: this.makeSources([{ url: url, type: 'application/x-mpegURL' }])
+            }));
+        }
+
+        // Absolute http(s) URLs only, each once
+        makeSources(sources) {
+            const seen = new Set();
+            return sources
+                .map(source => ({
+                    url: this.resolveUrl(source.url),
+                    type: source.type ? String(source.type) : '',
+                    label: source.label ? String(source.label) : '',
+                    height: parseInt(source.height, 10) || 0
+                }))
+                .filter(source => {
+                    if (!source.url || seen.has(source.url)) return false;
+                    seen.add(source.url);
+                    return true;
+                });
+        }
+
+        resolveUrl(url) {
+            if (!url || typeof url !== 'string') return '';
+            try {
+                const resolved = new URL(url, window.location.href);
+                return resolved.protocol === 'http:' || resolved.protocol === 'https:' ? resolved.href : '';
+            } catch {
+                return '';
+            }
+        }
+
+        listen() {
+            window.addEventListener('message', (event) => {
+                if (event.source !== window || event.origin !== window.location.origin) return;
+
+                const data = event.data;
+                if (!data || data.source !== CONTENT_MESSAGE_SOURCE || data.type !== 'players') return;
+
+                window.postMessage({
+                    source: HOOKS_MESSAGE_SOURCE,
+                    type: 'players',
+                    requestId: data.requestId,
+                    result: { players: this.read() }
+                }, '/');
+            });
+        }
+    }
+
+    new PlayerConfigs();
+})();
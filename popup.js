@@ -3,11 +3,21 @@
 class VideoDownloadHelper {
     constructor() {
         this.videos = [];
+        this.listItems = new Map(); // video -> list item
+        this.listedEntries = new WeakMap(); // video -> { key, signature } as first listed
+        this.frameGroups = new Map(); // frame id -> { last: last list item of the frame }
+        this.recordingTimer = null;
+        this.captureTimer = null;
+        this.tabId = null;
+        this.tabTitle = '';
+        this.liveUpdateTimer = null;
+        this.queueTimer = null;
         this.bindEvents();
     }
 
     async init() {
         try {
+            this.refreshQueue();
             await this.scanForVideos();
         } catch (error) {
             console.error('Initialization error:', error);
@@ -24,6 +34,23 @@ class VideoDownloadHelper {
                     this.scanForVideos();
                 });
             }
+            
+            // The background reports media the page or the network
+            // monitor found after the scan
+            chrome.runtime.onMessage.addListener((message) => {
+                if (message.action === 'tabMediaUpdated' && message.tabId === this.tabId) {
+                    this.scheduleLiveUpdate();
+                }
+            });
+
+            // Remove completed, failed and cancelled queue entries
+            const clearQueueBtn = document.getElementById('clear-queue-btn');
+            if (clearQueueBtn) {
+                clearQueueBtn.addEventListener('click', async () => {
+                    await chrome.runtime.sendMessage({ action: 'clearFinishedDownloads' });
+                    this.refreshQueue();
+                });
+            }
         } catch (error) {
             console.error('Error binding events:', error);
         }
@@ -39,6 +66,8 @@ class VideoDownloadHelper {
             if (!tab) {
                 throw new Error('Không thể truy cập tab hiện tại');
             }
+            this.tabId = tab.id;
+            this.tabTitle = tab.title || '';
 
             // Check if tab URL is valid for content script injection
             if (!this.isValidTabUrl(tab.url)) {
@@ -47,9 +76,10 @@ class VideoDownloadHelper {
             }
 
             try {
-                // Try to inject content script if not already present
+                // Try to inject content script if not already present;
+                // players often sit in iframes
                 await chrome.scripting.executeScript({
-                    target: { tabId: tab.id },
+                    target: { tabId: tab.id, allFrames: true },
                     files: ['content.js']
                 });
             } catch (injectionError) {
@@ -65,8 +95,13 @@ class VideoDownloadHelper {
                 action: 'findVideos'
             }, 3);
 
-            if (response && response.videos) {
-                this.videos = response.videos;
+            // Add what the background saw on the network but the page
+            // scan missed
+            const tabMedia = await this.getTabMedia(tab.id);
+            const pageVideos = this.mergeFrameVideos(tabMedia.videos, response && response.videos ? response.videos : []);
+            this.videos = this.mergeTabMedia(pageVideos, tabMedia.media, tab.title);
+            
+            if (this.videos.length > 0) {
                 this.displayVideos();
             } else {
                 this.showNoVideos();
@@ -77,6 +112,194 @@ class VideoDownloadHelper {
         }
     }
 
+    // { media } seen on the network and { videos } content.js reported
+    async getTabMedia(tabId) {
+        try {
+            const response = await chrome.runtime.sendMessage({
+                action: 'getTabMedia',
+                tabId: tabId
+            });
+            if (response?.success) {
+                return response;
+            }
+        } catch (error) {
+            console.error('Error loading network media:', error);
+        }
+        return { media: [], videos: [] };
+    }
+
+    // Every frame reports its videos to the background, tagged with
+    // frameId and frameUrl. The direct answer comes from one frame only;
+    // it is the fresher scan, so its fields win over a reported entry's,
+    // which keeps its frame tags.
+    mergeFrameVideos(reported, scanned) {
+        const merged = new Map();
+        reported.forEach(video => {
+            const key = video.url || video.src;
+            if (!merged.has(key)) {
+                merged.set(key, video);
+            }
+        });
+        scanned.forEach(video => {
+            const key = video.url || video.src;
+            merged.set(key, { ...merged.get(key), ...video });
+        });
+        return Array.from(merged.values());
+    }
+
+    scheduleLiveUpdate() {
+        clearTimeout(this.liveUpdateTimer);
+        this.liveUpdateTimer = setTimeout(() => this.applyLiveUpdate(), 500);
+    }
+
+    // Entries that changed since they were listed are rebuilt, those the
+    // page no longer has are removed and new ones are appended. Entries in
+    // use (recording, capture, download starting) stay as they are.
+    async applyLiveUpdate() {
+        const tabMedia = await this.getTabMedia(this.tabId);
+        const videos = this.mergeTabMedia(tabMedia.videos, tabMedia.media, this.tabTitle);
+        
+        if (this.videos.length === 0) {
+            if (videos.length > 0) {
+                this.videos = videos;
+                this.displayVideos();
+            }
+            return;
+        }
+        
+        const fresh = new Map(videos.map(video => [video.url || video.src, video]));
+        const matched = new Set();
+        
+        this.videos = this.videos.flatMap(video => {
+            const listed = this.listedEntries.get(video);
+            // A picked quality changes an entry's URL; its other files
+            // still belong to it
+            const key = [listed.key, video.url, ...(video.qualities || []).map(source => source.url)]
+                .find(url => fresh.has(url));
+            const update = key ? fresh.get(key) : null;
+            if (key) {
+                matched.add(key);
+            }
+            
+            if (this.isVideoInUse(video)) {
+                return [video];
+            }
+            if (!update || (update.frameId || 0) !== (video.frameId || 0)) {
+                // Gone, or moved to another frame and appended there below
+                if (update) {
+                    matched.delete(key);
+                }
+                this.removeVideoItem(video);
+                return [];
+            }
+            if (this.getEntrySignature(update) !== listed.signature) {
+                this.replaceVideoItem(video, update);
+                return [update];
+            }
+            return [video];
+        });
+        
+        videos.filter(video => !matched.has(video.url || video.src)).forEach(video => {
+            this.videos.push(video);
+            this.appendVideoItem(video, this.videos.length - 1);
+        });
+        
+        if (this.videos.length === 0) {
+            this.showNoVideos();
+        }
+    }
+
+    isVideoInUse(video) {
+        const li = this.listItems.get(video);
+        return Boolean(video.recordingId || video.capturing || (li && li.querySelector('.download-btn:disabled')));
+    }
+
+    removeVideoItem(video) {
+        const li = this.listItems.get(video);
+        const frameId = video.frameId || 0;
+        const group = this.frameGroups.get(frameId);
+        
+        if (group && group.last === li) {
+            group.last = li.previousElementSibling;
+            // An iframe without entries loses its header too
+            if (group.last && group.last.classList.contains('frame-group')) {
+                group.last.remove();
+                this.frameGroups.delete(frameId);
+            }
+        }
+        li.remove();
+        this.listItems.delete(video);
+    }
+
+    replaceVideoItem(video, update) {
+        const li = this.listItems.get(video);
+        const listItem = this.createVideoItem(update, this.videos.indexOf(video));
+        const group = this.frameGroups.get(video.frameId || 0);
+        
+        li.replaceWith(listItem);
+        if (group && group.last === li) {
+            group.last = listItem;
+        }
+        this.listItems.delete(video);
+        this.listItems.set(update, listItem);
+        this.listedEntries.set(update, { key: update.url || update.src, signature: this.getEntrySignature(update) });
+    }
+
+    // Only the direct scan reports the playback position, which changes
+    // all the time
+    getEntrySignature(video) {
+        const { currentTime, ...entry } = video;
+        return JSON.stringify(entry);
+    }
+
+    mergeTabMedia(videos, media, pageTitle) {
+        const seen = new Set(videos.map(video => video.url || video.src));
+        const merged = [...videos];
+        
+        media.forEach(entry => {
+            const format = this.getNetworkMediaFormat(entry);
+            if (!format || seen.has(entry.url)) return;
+            
+            seen.add(entry.url);
+            merged.push({
+                url: entry.url,
+                src: entry.url,
+                type: 'network',
+                format: format,
+                size: 'Unknown',
+                title: pageTitle || '',
+                isStreaming: format === 'HLS' || format === 'DASH',
+                firstSeen: entry.firstSeen,
+                requestType: entry.type,
+                frameId: entry.frameId
+            });
+        });
+        
+        return merged;
+    }
+
+    // Manifests and media element requests; single segments are left out
+    getNetworkMediaFormat(entry) {
+        let path = entry.url;
+        try {
+            path = new URL(entry.url).pathname;
+        } catch {
+            // Keep the raw URL
+        }
+        
+        if (/\.m3u8$/i.test(path) || entry.url.includes('.m3u8')) {
+            return 'HLS';
+        }
+        if (/\.mpd$/i.test(path) || entry.url.includes('.mpd')) {
+            return 'DASH';
+        }
+        if (entry.type === 'media') {
+            const extension = path.match(/\.(\w{2,4})$/);
+            return extension ? extension[1] : 'Video';
+        }
+        return null;
+    }
+
     async sendMessageWithRetry(tabId, message, maxRetries = 3) {
         for (let attempt = 1; attempt <= maxRetries; attempt++) {
             try {
@@ -206,11 +429,57 @@ class VideoDownloadHelper {
         
         const videoList = document.getElementById('video-items');
         videoList.innerHTML = '';
+        this.listItems.clear();
+        this.frameGroups.clear();
 
         this.videos.forEach((video, index) => {
-            const listItem = this.createVideoItem(video, index);
-            videoList.appendChild(listItem);
+            this.appendVideoItem(video, index);
         });
+
+        // Live recordings and MediaSource captures keep running while the
+        // popup is closed
+        this.watchRecordings();
+        this.watchCaptures();
+    }
+
+    // Videos are grouped by frame: the top frame's first, then one group
+    // per iframe under a header with the frame's URL
+    appendVideoItem(video, index) {
+        const videoList = document.getElementById('video-items');
+        const frameId = video.frameId || 0;
+        // Taken before the popup adds its own state to the entry
+        this.listedEntries.set(video, { key: video.url || video.src, signature: this.getEntrySignature(video) });
+        const listItem = this.createVideoItem(video, index);
+        this.listItems.set(video, listItem);
+        
+        let group = this.frameGroups.get(frameId);
+        if (!group) {
+            group = { last: null };
+            if (frameId !== 0) {
+                group.last = this.createFrameHeader(video);
+                videoList.appendChild(group.last);
+            }
+            this.frameGroups.set(frameId, group);
+        }
+        
+        if (group.last) {
+            group.last.after(listItem);
+        } else {
+            videoList.prepend(listItem);
+        }
+        group.last = listItem;
+    }
+
+    createFrameHeader(video) {
+        // Network entries carry the frame id only
+        const frameUrl = video.frameUrl ||
+            this.videos.find(item => item.frameId === video.frameId && item.frameUrl)?.frameUrl;
+        
+        const header = document.createElement('li');
+        header.className = 'frame-group';
+        header.textContent = `Khung nhúng: ${frameUrl ? this.shortenUrl(frameUrl) : `#${video.frameId}`}`;
+        header.title = frameUrl || '';
+        return header;
     }
 
     createVideoItem(video, index) {
@@ -219,51 +488,124 @@ class VideoDownloadHelper {
         
         const title = video.title || this.extractVideoTitle(video.url);
         const shortUrl = this.shortenUrl(video.url);
-        const platform = this.getPlatformDisplayName(video.type);
+        const platform = video.type === 'player' && video.player ? video.player : this.getPlatformDisplayName(video.type);
         const format = video.format || 'Unknown';
         
         // Check if this is a blob URL or non-downloadable video
         const isBlob = video.url && video.url.startsWith('blob:');
         const isNonDownloadable = video.downloadable === false;
+        const isCapture = video.capture === true && !isNonDownloadable;
         
-        let warningHtml = '';
-        let buttonHtml = '';
+        const isBlocked = (isBlob && !isCapture) || isNonDownloadable;
         
-        if (isBlob || isNonDownloadable) {
-            warningHtml = `
-                <div class="video-warning">
-                    <span class="warning-icon">⚠️</span>
-                    <span class="warning-text">${video.reason || 'Video này không thể tải xuống trực tiếp'}</span>
-                </div>
-                ${video.alternative ? `<div class="video-alternative">💡 ${video.alternative}</div>` : ''}
-            `;
-            buttonHtml = `
-                <button class="btn secondary info-btn" data-index="${index}">
-                    Xem hướng dẫn
-                </button>
-            `;
-        } else {
-            buttonHtml = `
-                <button class="btn primary download-btn" data-index="${index}">
-                    Tải xuống
-                </button>
-            `;
-        }
-
+        // The template is static markup only; everything that comes from
+        // the entry, and so possibly from the page, is set as text below
         li.innerHTML = `
+            <img class="video-thumb" alt="" style="display: none;">
             <div class="video-info">
-                <div class="video-title">${title}</div>
+                <div class="video-title"></div>
                 <div class="video-meta">
-                    <span class="platform-badge ${video.type}">${platform}</span>
-                    <span class="format-badge">${format.toUpperCase()}</span>
-                    <span class="size-badge">${video.size || 'Unknown'}</span>
+                    <span class="platform-badge"></span>
+                    <span class="format-badge"></span>
+                    <span class="size-badge"></span>
+                    <span class="date-badge" style="display: none;"></span>
+                </div>
+                <div class="video-description" style="display: none;"></div>
+                <div class="video-url"></div>
+                <div class="quality-picker" style="display: none;">
+                    <label>Chất lượng:</label>
+                    <select class="quality-select"></select>
+                </div>
+                <div class="quality-picker audio-picker" style="display: none;">
+                    <label>Âm thanh:</label>
+                    <select class="quality-select audio-select"></select>
+                </div>
+                <div class="quality-picker subtitle-picker" style="display: none;">
+                    <label>Phụ đề:</label>
+                    <select class="quality-select subtitle-select"></select>
+                    <select class="subtitle-format">
+                        <option value="vtt">.vtt</option>
+                        <option value="srt">.srt</option>
+                    </select>
+                    <button class="btn info subtitle-btn">Tải</button>
+                </div>
+                <div class="quality-picker record-controls" style="display: none;">
+                    <label>Giới hạn:</label>
+                    <select class="quality-select record-limit">
+                        <option value="">Không giới hạn</option>
+                        <option value="duration:300">5 phút</option>
+                        <option value="duration:900">15 phút</option>
+                        <option value="duration:1800">30 phút</option>
+                        <option value="duration:3600">1 giờ</option>
+                        <option value="size:524288000">500 MB</option>
+                        <option value="size:1073741824">1 GB</option>
+                        <option value="size:2147483648">2 GB</option>
+                    </select>
+                </div>
+                <div class="quality-picker connection-picker" style="display: none;">
+                    <label>Kết nối:</label>
+                    <select class="quality-select connection-select">
+                        <option value="1">1 (mặc định)</option>
+                        <option value="2">2 kết nối</option>
+                        <option value="4">4 kết nối</option>
+                        <option value="8">8 kết nối</option>
+                    </select>
+                </div>
+                <div class="record-status" style="display: none;"></div>
+                <div class="video-warning" style="display: none;">
+                    <span class="warning-icon">⚠️</span>
+                    <span class="warning-text"></span>
                 </div>
-                <div class="video-url">${shortUrl}</div>
-                ${warningHtml}
+                <div class="video-alternative" style="display: none;"></div>
             </div>
-            ${buttonHtml}
+            <button class="btn"></button>
         `;
 
+        li.querySelector('.video-title').textContent = title;
+        const platformBadge = li.querySelector('.platform-badge');
+        platformBadge.textContent = platform;
+        if (/^[a-z_]+$/.test(video.type || '')) {
+            platformBadge.classList.add(video.type);
+        }
+        li.querySelector('.format-badge').textContent = format.toUpperCase();
+        li.querySelector('.size-badge').textContent = video.size || 'Unknown';
+        li.querySelector('.video-url').textContent = shortUrl;
+        
+        const button = li.querySelector(':scope > .btn');
+        button.dataset.index = index;
+        if (isBlocked) {
+            const warning = li.querySelector('.video-warning');
+            warning.querySelector('.warning-text').textContent = video.reason || 'Video này không thể tải xuống trực tiếp';
+            warning.style.display = '';
+            if (video.alternative) {
+                const alternative = li.querySelector('.video-alternative');
+                alternative.textContent = `💡 ${video.alternative}`;
+                alternative.style.display = '';
+            }
+            button.className = 'btn secondary info-btn';
+            button.textContent = 'Xem hướng dẫn';
+        } else {
+            button.className = 'btn primary download-btn';
+            button.textContent = 'Tải xuống';
+        }
+        this.showPageMetadata(video, li);
+        this.showThumbnail(video, li);
+
+        // Subtitles from <track> elements can be saved even when the
+        // video itself cannot
+        this.fillSubtitlePicker(video, li, video.subtitles || []);
+
+        // HLS/DASH entries: offer the available qualities, flag DRM
+        if (!isBlob && !isNonDownloadable && (this.isHlsVideo(video) || this.isDashVideo(video))) {
+            this.loadStreamInfo(video, li);
+        } else if (!isBlob && !isNonDownloadable) {
+            this.fillSourcePicker(video, li);
+            this.probeDirectVideo(video, li);
+            this.loadConnectionPicker(video, li);
+        } else if (isCapture) {
+            this.enableCapture(video, li);
+        }
+
         // Add event listeners
         const downloadBtn = li.querySelector('.download-btn');
         const infoBtn = li.querySelector('.info-btn');
@@ -283,6 +625,765 @@ class VideoDownloadHelper {
         return li;
     }
 
+    // Description, date and duration from the page's JSON-LD or Open
+    // Graph tags; page text, so never through innerHTML
+    showPageMetadata(video, li) {
+        const details = [];
+        const date = video.uploadDate ? new Date(video.uploadDate) : null;
+        if (date && !isNaN(date)) {
+            details.push(date.toLocaleDateString('vi-VN'));
+        }
+        if (video.duration > 0) {
+            details.push(this.formatDuration(video.duration));
+        }
+        if (details.length > 0) {
+            const badge = li.querySelector('.date-badge');
+            badge.textContent = details.join(' · ');
+            badge.style.display = '';
+        }
+
+        if (video.description) {
+            const description = li.querySelector('.video-description');
+            description.textContent = video.description;
+            description.title = video.description;
+            description.style.display = '';
+        }
+    }
+
+    // Poster, page metadata image or a frame grabbed by content.js; the
+    // entry goes back to the text-only layout if the image fails to load
+    showThumbnail(video, li) {
+        const thumbnail = video.thumbnail || '';
+        if (!/^(https?:|data:image\/)/.test(thumbnail)) return;
+
+        const image = li.querySelector('.video-thumb');
+        image.addEventListener('error', () => {
+            image.style.display = 'none';
+            li.classList.remove('has-thumb');
+        });
+        image.src = thumbnail;
+        image.style.display = '';
+        li.classList.add('has-thumb');
+    }
+
+    isHlsVideo(video) {
+        return video.format === 'HLS' || (video.url && video.url.includes('.m3u8'));
+    }
+
+    isDashVideo(video) {
+        return video.format === 'DASH' || (video.url && video.url.includes('.mpd'));
+    }
+
+    // Real size and type from the server; errors are flagged before the
+    // user clicks
+    async probeDirectVideo(video, li) {
+        try {
+            const response = await chrome.runtime.sendMessage({
+                action: 'probeUrl',
+                url: video.url,
+                tabId: this.tabId
+            });
+            
+            if (!response?.success) {
+                return;
+            }
+            
+            const info = response.info;
+            if (info.error) {
+                this.showItemWarning(li, `Không truy cập được: ${info.error}`);
+                return;
+            }
+            if (info.status >= 400) {
+                const reason = info.status === 403 ? 'máy chủ từ chối truy cập'
+                    : info.status === 404 || info.status === 410 ? 'không tìm thấy tệp' : 'máy chủ lỗi';
+                this.showItemWarning(li, `HTTP ${info.status}: ${reason}`);
+                return;
+            }
+            
+            if (info.size > 0) {
+                video.size = this.formatSize(info.size);
+                li.querySelector('.size-badge').textContent = video.size;
+            }
+            
+            const format = this.getFormatFromMimeType(info.type);
+            if (format) {
+                video.format = format;
+                li.querySelector('.format-badge').textContent = format.toUpperCase();
+            } else if (info.type.startsWith('text/')) {
+                // Usually a login or error page served instead of the file
+                this.showItemWarning(li, `Máy chủ không trả về video (${info.type})`);
+            }
+            
+            if (info.filename && !video.title) {
+                video.title = info.filename;
+                li.querySelector('.video-title').textContent = info.filename;
+            }
+        } catch (error) {
+            console.error('Error probing video:', error);
+        }
+    }
+
+    getFormatFromMimeType(type) {
+        const formats = {
+            'video/mp4': 'mp4',
+            'video/webm': 'webm',
+            'video/ogg': 'ogg',
+            'video/quicktime': 'mov',
+            'video/x-matroska': 'mkv',
+            'video/x-flv': 'flv',
+            'video/mp2t': 'ts',
+            'audio/mp4': 'm4a',
+            'audio/mpeg': 'mp3',
+            'audio/webm': 'webm',
+            'audio/ogg': 'ogg'
+        };
+        return formats[type] || null;
+    }
+
+    // Direct files: connections per host; more than one downloads large
+    // files as parallel byte ranges
+    async loadConnectionPicker(video, li) {
+        try {
+            const response = await chrome.runtime.sendMessage({
+                action: 'getHostConnections',
+                url: video.url
+            });
+            
+            if (!response?.success || !response.host) {
+                return;
+            }
+            
+            const picker = li.querySelector('.connection-picker');
+            const select = picker.querySelector('.connection-select');
+            select.value = String(response.connections);
+            select.title = `Áp dụng cho ${response.host}`;
+            select.addEventListener('change', async () => {
+                await chrome.runtime.sendMessage({
+                    action: 'setHostConnections',
+                    url: video.url,
+                    connections: parseInt(select.value, 10)
+                });
+            });
+            picker.style.display = 'flex';
+        } catch (error) {
+            console.error('Error loading connection settings:', error);
+        }
+    }
+
+    async loadStreamInfo(video, li) {
+        try {
+            const response = await chrome.runtime.sendMessage({
+                action: 'getStreamInfo',
+                url: video.url,
+                tabId: this.tabId
+            });
+            
+            if (!response?.success) {
+                return;
+            }
+            
+            if (response.info.drm) {
+                video.downloadable = false;
+                video.reason = response.info.drm;
+                this.showItemWarning(li, response.info.drm);
+                
+                const downloadBtn = li.querySelector('.download-btn');
+                if (downloadBtn) {
+                    downloadBtn.disabled = true;
+                }
+                return;
+            }
+            
+            if (response.info.live) {
+                this.enableRecording(video, li);
+            }
+            
+            this.fillAudioPicker(video, li, response.info.audioTracks || []);
+            this.fillSubtitlePicker(video, li, response.info.subtitles || []);
+            
+            const variants = response.info.variants || [];
+            if (variants.length === 0) {
+                return;
+            }
+            
+            const picker = li.querySelector('.quality-picker');
+            const select = li.querySelector('.quality-select');
+            
+            variants.forEach(variant => {
+                const option = document.createElement('option');
+                option.value = variant.id;
+                option.textContent = this.formatVariantLabel(variant);
+                select.appendChild(option);
+            });
+            
+            // Variants arrive sorted best first
+            video.variantId = select.value;
+            select.addEventListener('change', () => {
+                video.variantId = select.value;
+            });
+            
+            picker.style.display = 'flex';
+        } catch (error) {
+            console.log('Could not load stream qualities:', error.message);
+        }
+    }
+
+    // Player configs can list several files of one video; the pick
+    // becomes the entry's URL
+    fillSourcePicker(video, li) {
+        const qualities = video.qualities || [];
+        if (qualities.length < 2) {
+            return;
+        }
+        
+        const picker = li.querySelector('.quality-picker');
+        const select = li.querySelector('.quality-select');
+        
+        qualities.forEach((source, index) => {
+            const option = document.createElement('option');
+            option.value = String(index);
+            option.textContent = source.label || (source.height ? `${source.height}p` : this.shortenUrl(source.url));
+            select.appendChild(option);
+        });
+        
+        select.addEventListener('change', () => {
+            const source = qualities[Number(select.value)];
+            video.url = source.url;
+            video.src = source.url;
+            li.querySelector('.video-url').textContent = this.shortenUrl(source.url);
+            this.probeDirectVideo(video, li);
+        });
+        
+        picker.style.display = 'flex';
+    }
+
+    // Separate audio renditions: let the user pick the language
+    fillAudioPicker(video, li, audioTracks) {
+        if (audioTracks.length < 2) {
+            return;
+        }
+        
+        const picker = li.querySelector('.audio-picker');
+        const select = li.querySelector('.audio-select');
+        const browserLanguage = navigator.language.split('-')[0];
+        
+        audioTracks.forEach(track => {
+            const option = document.createElement('option');
+            option.value = track.language;
+            option.textContent = track.name && track.name !== track.language
+                ? `${track.name} (${track.language})`
+                : track.language;
+            select.appendChild(option);
+        });
+        
+        const preferred = audioTracks.find(track => track.language.split('-')[0] === browserLanguage);
+        if (preferred) {
+            select.value = preferred.language;
+        }
+        
+        video.audioLanguage = select.value;
+        select.addEventListener('change', () => {
+            video.audioLanguage = select.value;
+        });
+        
+        picker.style.display = 'flex';
+    }
+
+    // Subtitle tracks are added as they are found: <track> elements first,
+    // then the manifest's text renditions
+    fillSubtitlePicker(video, li, subtitles) {
+        if (subtitles.length === 0) {
+            return;
+        }
+        
+        const picker = li.querySelector('.subtitle-picker');
+        const select = li.querySelector('.subtitle-select');
+        const isNew = !picker.dataset.ready;
+        
+        video.subtitleOptions = video.subtitleOptions || [];
+        subtitles.forEach(subtitle => {
+            if (video.subtitleOptions.some(existing => existing.source === subtitle.source && existing.id === subtitle.id)) {
+                return;
+            }
+            video.subtitleOptions.push(subtitle);
+            
+            const option = document.createElement('option');
+            option.value = String(video.subtitleOptions.length - 1);
+            option.textContent = subtitle.kind === 'captions' ? `${subtitle.label} [CC]` : subtitle.label;
+            select.appendChild(option);
+        });
+        
+        if (isNew) {
+            picker.dataset.ready = 'true';
+            li.querySelector('.subtitle-btn').addEventListener('click', (event) => {
+                const subtitle = video.subtitleOptions[parseInt(select.value, 10)];
+                const format = li.querySelector('.subtitle-format').value;
+                this.downloadSubtitle(video, subtitle, format, event.currentTarget);
+            });
+        }
+        
+        picker.style.display = 'flex';
+    }
+
+    async downloadSubtitle(video, subtitle, format, button) {
+        const originalText = button.textContent;
+        button.textContent = '...';
+        button.disabled = true;
+        
+        try {
+            const response = await chrome.runtime.sendMessage({
+                action: 'downloadSubtitle',
+                video: { title: video.title || this.extractVideoTitle(video.url), tabId: this.tabId },
+                subtitle: subtitle,
+                format: format
+            });
+            
+            if (!response || !response.success) {
+                throw new Error(response?.error || 'Subtitle download failed');
+            }
+            
+            button.textContent = '✓';
+            button.className = 'btn success subtitle-btn';
+        } catch (error) {
+            console.error('Subtitle download error:', error);
+            button.textContent = 'Lỗi!';
+            button.className = 'btn error subtitle-btn';
+            button.title = error.message;
+        }
+        
+        setTimeout(() => {
+            button.textContent = originalText;
+            button.className = 'btn info subtitle-btn';
+            button.title = '';
+            button.disabled = false;
+        }, 2000);
+    }
+
+    // Live HLS: the download button records until Stop or the limit
+    enableRecording(video, li) {
+        video.isLive = true;
+        li.querySelector('.record-controls').style.display = 'flex';
+        
+        const button = li.querySelector('.download-btn');
+        if (button && !video.recordingId) {
+            button.textContent = '⏺ Ghi trực tiếp';
+        }
+    }
+
+    async toggleRecording(video, button) {
+        const li = button.closest('.video-item');
+        button.disabled = true;
+        
+        try {
+            let response;
+            if (video.recordingId) {
+                response = await chrome.runtime.sendMessage({
+                    action: 'stopRecording',
+                    recordingId: video.recordingId
+                });
+            } else {
+                const [kind, value] = li.querySelector('.record-limit').value.split(':');
+                response = await chrome.runtime.sendMessage({
+                    action: 'startRecording',
+                    video: { ...video, tabId: this.tabId },
+                    limits: {
+                        maxDuration: kind === 'duration' ? Number(value) : 0,
+                        maxSize: kind === 'size' ? Number(value) : 0
+                    }
+                });
+            }
+            
+            if (!response || !response.success) {
+                throw new Error(response?.error || 'Recording failed');
+            }
+            if (response.recordingId) {
+                video.recordingId = response.recordingId;
+            }
+        } catch (error) {
+            console.error('Recording error:', error);
+            this.showItemWarning(li, error.message);
+            button.disabled = false;
+        }
+        
+        await this.watchRecordings();
+    }
+
+    // Poll the background for recording progress while any is running
+    async watchRecordings() {
+        clearTimeout(this.recordingTimer);
+        
+        try {
+            const response = await chrome.runtime.sendMessage({ action: 'getRecordings' });
+            const recordings = response?.recordings || [];
+            let running = false;
+            
+            this.videos.forEach(video => {
+                const li = this.listItems.get(video);
+                const recording = recordings.filter(item => item.url === video.url).pop();
+                if (!li || !recording) return;
+                
+                this.updateRecordingStatus(video, li, recording);
+                running = running || ['recording', 'stopping', 'saving'].includes(recording.status);
+            });
+            
+            if (running) {
+                this.recordingTimer = setTimeout(() => this.watchRecordings(), 1000);
+            }
+        } catch (error) {
+            console.log('Could not load recordings:', error.message);
+        }
+    }
+
+    updateRecordingStatus(video, li, recording) {
+        const status = li.querySelector('.record-status');
+        const button = li.querySelector('.download-btn');
+        
+        status.textContent = this.formatRecordingStatus(recording);
+        status.className = `record-status ${recording.status}`;
+        status.style.display = 'block';
+        
+        if (!button) return;
+        
+        if (recording.status === 'recording') {
+            video.isLive = true;
+            video.recordingId = recording.id;
+            button.textContent = '⏹ Dừng ghi';
+            button.className = 'btn error download-btn';
+            button.disabled = false;
+        } else if (recording.status === 'stopping' || recording.status === 'saving') {
+            button.textContent = 'Đang lưu...';
+            button.className = 'btn warning download-btn';
+            button.disabled = true;
+        } else {
+            video.recordingId = null;
+            button.textContent = '⏺ Ghi trực tiếp';
+            button.className = 'btn primary download-btn';
+            button.disabled = false;
+        }
+    }
+
+    formatRecordingStatus(recording) {
+        const progress = `${this.formatDuration(recording.duration)} · ${recording.segments} segments · ${this.formatSize(recording.bytes)}`;
+        
+        switch (recording.status) {
+            case 'recording': {
+                let limit = '';
+                if (recording.maxDuration) limit = ` / ${this.formatDuration(recording.maxDuration)}`;
+                if (recording.maxSize) limit = ` / ${this.formatSize(recording.maxSize)}`;
+                return `⏺ Đang ghi: ${progress}${limit}`;
+            }
+            case 'stopping':
+            case 'saving':
+                return `Đang lưu bản ghi: ${progress}`;
+            case 'done':
+                return `✓ Đã lưu bản ghi: ${progress}`;
+            default:
+                return `Lỗi ghi: ${recording.error || 'không rõ'}`;
+        }
+    }
+
+    // MediaSource (blob:) videos: the page records what the player appends
+    // between Ghi lại and Dừng & lưu
+    enableCapture(video, li) {
+        const button = li.querySelector('.download-btn');
+        if (button) {
+            button.textContent = '⏺ Ghi lại';
+        }
+        
+        const status = li.querySelector('.record-status');
+        status.textContent = 'Bấm Ghi lại rồi phát video; chỉ phần được phát sau đó có trong tệp. Tua về đầu để ghi trọn video.';
+        status.style.display = 'block';
+    }
+
+    // The MediaSource lives in the frame that reported the video
+    sendCaptureCommand(video, command) {
+        return chrome.tabs.sendMessage(this.tabId, {
+            action: 'captureMedia',
+            command: command,
+            url: video.url,
+            title: video.title
+        }, { frameId: video.frameId || 0 });
+    }
+
+    async toggleCapture(video, button) {
+        const li = button.closest('.video-item');
+        const command = video.capturing ? 'save' : 'start';
+        button.disabled = true;
+        
+        try {
+            const response = await this.sendCaptureCommand(video, command);
+            if (!response || !response.success) {
+                throw new Error(response?.error || 'Capture failed');
+            }
+            
+            this.updateCaptureStatus(video, li, response.status);
+            if (response.files) {
+                const bytes = response.files.reduce((total, file) => total + file.bytes, 0);
+                const status = li.querySelector('.record-status');
+                status.textContent = `✓ Đã lưu ${response.files.length} tệp (${this.formatSize(bytes)})`;
+                status.className = 'record-status done';
+            }
+        } catch (error) {
+            console.error('Capture error:', error);
+            this.showItemWarning(li, error.message);
+            button.disabled = false;
+        }
+        
+        if (command === 'start') {
+            await this.watchCaptures();
+        }
+    }
+
+    // Poll the page for capture progress while any capture is running
+    async watchCaptures() {
+        clearTimeout(this.captureTimer);
+        let running = false;
+        
+        for (const video of this.videos.filter(item => item.capture)) {
+            const li = this.listItems.get(video);
+            if (!li) continue;
+            
+            try {
+                const response = await this.sendCaptureCommand(video, 'status');
+                if (response?.success) {
+                    this.updateCaptureStatus(video, li, response.status);
+                    running = running || response.status.capturing;
+                }
+            } catch (error) {
+                console.log('Could not load capture status:', error.message);
+            }
+        }
+        
+        if (running) {
+            this.captureTimer = setTimeout(() => this.watchCaptures(), 1000);
+        }
+    }
+
+    updateCaptureStatus(video, li, capture) {
+        const status = li.querySelector('.record-status');
+        const button = li.querySelector('.download-btn');
+        const tracks = capture.tracks.filter(track => track.bytes > 0).length;
+        const progress = `${this.formatSize(capture.bytes)} · ${tracks} luồng`;
+        
+        video.capturing = capture.capturing || capture.bytes > 0;
+        
+        if (capture.capturing) {
+            status.textContent = `⏺ Đang ghi: ${progress}`;
+            status.className = 'record-status recording';
+            status.style.display = 'block';
+        } else if (capture.bytes > 0) {
+            status.textContent = capture.limitReached
+                ? `Đã dừng ghi khi đạt giới hạn: ${progress}`
+                : `Đã ghi: ${progress}`;
+            status.className = 'record-status';
+            status.style.display = 'block';
+        }
+        
+        if (!button) return;
+        
+        if (video.capturing) {
+            button.textContent = '⏹ Dừng & lưu';
+            button.className = 'btn error download-btn';
+        } else {
+            button.textContent = '⏺ Ghi lại';
+            button.className = 'btn primary download-btn';
+        }
+        button.disabled = false;
+    }
+
+    formatDuration(seconds) {
+        const total = Math.floor(seconds);
+        const pad = value => String(value).padStart(2, '0');
+        return `${Math.floor(total / 3600)}:${pad(Math.floor(total / 60) % 60)}:${pad(total % 60)}`;
+    }
+
+    formatSize(bytes) {
+        if (bytes >= 1073741824) {
+            return `${(bytes / 1073741824).toFixed(2)} GB`;
+        }
+        if (bytes >= 1048576) {
+            return `${(bytes / 1048576).toFixed(1)} MB`;
+        }
+        return `${Math.round(bytes / 1024)} KB`;
+    }
+
+    // Download queue: poll while anything is waiting or running
+    async refreshQueue() {
+        clearTimeout(this.queueTimer);
+        
+        try {
+            const response = await chrome.runtime.sendMessage({ action: 'getQueue' });
+            const jobs = response?.jobs || [];
+            this.renderQueue(jobs);
+            
+            if (jobs.some(job => job.status === 'queued' || job.status === 'running')) {
+                this.queueTimer = setTimeout(() => this.refreshQueue(), 1000);
+            }
+        } catch (error) {
+            console.log('Could not load download queue:', error.message);
+        }
+    }
+
+    renderQueue(jobs) {
+        const section = document.getElementById('queue-section');
+        const list = document.getElementById('queue-items');
+        if (!section || !list) return;
+        
+        section.style.display = jobs.length > 0 ? 'block' : 'none';
+        list.innerHTML = '';
+        
+        const topPriority = Math.max(0, ...jobs.map(job => job.priority));
+        jobs.forEach(job => {
+            list.appendChild(this.createQueueItem(job, topPriority));
+        });
+    }
+
+    createQueueItem(job, topPriority) {
+        const li = document.createElement('li');
+        li.className = `queue-item ${job.status}`;
+        li.innerHTML = `
+            <div class="queue-title"></div>
+            <div class="queue-progress"><div class="queue-progress-bar"></div></div>
+            <div class="queue-meta">
+                <span class="queue-status"></span>
+                <span class="queue-actions"></span>
+            </div>
+        `;
+        
+        const progress = this.getQueueProgress(job);
+        li.querySelector('.queue-title').textContent = job.filename || job.video.url;
+        li.querySelector('.queue-progress-bar').style.width = `${progress.percent}%`;
+        li.querySelector('.queue-status').textContent = job.error
+            ? `${this.getQueueStatusLabel(job.status)}: ${this.getDownloadErrorLabel(job.error)}`
+            : [this.getQueueStatusLabel(job.status), progress.text].filter(Boolean).join(' · ');
+        
+        const actions = li.querySelector('.queue-actions');
+        const addAction = (label, title, action, extra = {}) => {
+            const button = document.createElement('button');
+            button.className = 'queue-action';
+            button.textContent = label;
+            button.title = title;
+            button.addEventListener('click', async () => {
+                button.disabled = true;
+                await chrome.runtime.sendMessage({ action: action, jobId: job.id, ...extra });
+                this.refreshQueue();
+            });
+            actions.appendChild(button);
+        };
+        
+        if (job.status === 'queued' && job.priority < topPriority) {
+            addAction('↑', 'Ưu tiên', 'setDownloadPriority', { priority: topPriority + 1 });
+        }
+        if (job.status === 'queued' || job.status === 'running') {
+            addAction('⏸', 'Tạm dừng', 'pauseDownload');
+        }
+        if (job.status === 'paused') {
+            addAction('▶', 'Tiếp tục', 'resumeDownload');
+        }
+        if (job.status === 'failed') {
+            addAction('↻', 'Thử lại', 'resumeDownload');
+        }
+        if (['queued', 'running', 'paused'].includes(job.status)) {
+            addAction('✕', 'Hủy', 'cancelDownload');
+        }
+        
+        return li;
+    }
+
+    getQueueProgress(job) {
+        const progress = job.progress;
+        
+        if (job.status === 'completed') {
+            return { percent: 100, text: progress.bytes ? this.formatSize(progress.bytes) : '' };
+        }
+        if (job.kind === 'stream' && progress.total > 0) {
+            return {
+                percent: Math.floor(progress.done / progress.total * 100),
+                text: `${progress.done}/${progress.total} segments · ${this.formatSize(progress.bytes)}`
+            };
+        }
+        if (progress.totalBytes > 0) {
+            return {
+                percent: Math.floor(progress.bytes / progress.totalBytes * 100),
+                text: `${this.formatSize(progress.bytes)} / ${this.formatSize(progress.totalBytes)}`
+            };
+        }
+        return { percent: 0, text: progress.bytes ? this.formatSize(progress.bytes) : '' };
+    }
+
+    getQueueStatusLabel(status) {
+        const labels = {
+            queued: 'Đang chờ',
+            running: 'Đang tải',
+            paused: 'Tạm dừng',
+            completed: 'Hoàn tất',
+            failed: 'Lỗi',
+            cancelled: 'Đã hủy'
+        };
+        return labels[status] || status;
+    }
+
+    // chrome.downloads interrupt reasons; stream jobs already carry a message
+    getDownloadErrorLabel(error) {
+        const labels = {
+            NETWORK_FAILED: 'Lỗi mạng',
+            NETWORK_TIMEOUT: 'Hết thời gian chờ mạng',
+            NETWORK_DISCONNECTED: 'Mất kết nối mạng',
+            NETWORK_SERVER_DOWN: 'Máy chủ không phản hồi',
+            SERVER_FAILED: 'Máy chủ gặp lỗi',
+            SERVER_FORBIDDEN: 'Máy chủ từ chối truy cập',
+            SERVER_UNAUTHORIZED: 'Máy chủ yêu cầu đăng nhập',
+            SERVER_BAD_CONTENT: 'Không tìm thấy tệp trên máy chủ',
+            SERVER_NO_RANGE: 'Máy chủ không hỗ trợ tải tiếp',
+            FILE_FAILED: 'Lỗi ghi tệp',
+            FILE_NO_SPACE: 'Hết dung lượng đĩa',
+            FILE_ACCESS_DENIED: 'Không có quyền ghi tệp',
+            FILE_TOO_LARGE: 'Tệp quá lớn',
+            USER_CANCELED: 'Đã hủy'
+        };
+        return labels[error] ? `${labels[error]} (${error})` : error;
+    }
+
+    showItemWarning(li, message) {
+        let warning = li.querySelector('.video-warning');
+        
+        if (!warning) {
+            warning = document.createElement('div');
+            warning.className = 'video-warning';
+            warning.innerHTML = '<span class="warning-icon">⚠️</span><span class="warning-text"></span>';
+            li.querySelector('.video-info').appendChild(warning);
+        }
+        
+        warning.querySelector('.warning-text').textContent = message;
+        warning.style.display = '';
+    }
+
+    formatVariantLabel(variant) {
+        const parts = [];
+        
+        if (variant.resolution) {
+            parts.push(`${variant.resolution.height}p`);
+        }
+        if (variant.frameRate) {
+            parts.push(`${Math.round(variant.frameRate)}fps`);
+        }
+        if (variant.bandwidth) {
+            parts.push(this.formatBitrate(variant.bandwidth));
+        }
+        if (variant.codecs) {
+            parts.push(variant.codecs.split(',')[0]);
+        }
+        
+        return parts.join(' · ') || 'Mặc định';
+    }
+
+    formatBitrate(bitsPerSecond) {
+        if (bitsPerSecond >= 1000000) {
+            return `${(bitsPerSecond / 1000000).toFixed(1)} Mbps`;
+        }
+        return `${Math.round(bitsPerSecond / 1000)} kbps`;
+    }
+
     showVideoInfo(video) {
         const isBlob = video.url && video.url.startsWith('blob:');
         let message = '';
@@ -314,7 +1415,7 @@ ${video.reason || 'Blob URLs không thể tải xuống trực tiếp từ exten
 • Loại: ${video.type}
 • Format: ${video.format || 'Unknown'}
 • Kích thước: ${video.size || 'Unknown'}
-
+${video.uploadDate ? `• Ngày đăng: ${video.uploadDate}\n` : ''}${video.license ? `• Giấy phép: ${video.license}\n` : ''}${video.embedUrl ? `• Trang nhúng: ${video.embedUrl}\n` : ''}
 ${video.reason ? `⚠️ ${video.reason}` : ''}
 ${video.alternative ? `💡 ${video.alternative}` : ''}
             `;
@@ -338,7 +1439,9 @@ ${video.alternative ? `💡 ${video.alternative}` : ''}
             'twitter_blob': 'Twitter/X',
             'twitch_blob': 'Twitch',
             'direct': 'Direct',
-            'source': 'HTML5'
+            'source': 'HTML5',
+            'network': 'Mạng',
+            'metadata': 'Metadata'
         };
         
         return platformNames[type] || 'Generic';
@@ -366,42 +1469,38 @@ ${video.alternative ? `💡 ${video.alternative}` : ''}
     }
 
     async downloadVideo(video, button) {
+        if (video.isLive) {
+            await this.toggleRecording(video, button);
+            return;
+        }
+        if (video.capture) {
+            await this.toggleCapture(video, button);
+            return;
+        }
+        
         const originalText = button.textContent;
         button.textContent = 'Đang tải...';
         button.disabled = true;
 
         try {
-            // Check if it's a streaming video
-            const isStreaming = video.format === 'HLS' || video.format === 'DASH' || 
-                               video.url.includes('.m3u8') || video.url.includes('.mpd');
+            // Streams are joined in the background; both kinds go through
+            // the download queue
+            const isStreaming = this.isHlsVideo(video) || this.isDashVideo(video);
+            const response = await chrome.runtime.sendMessage({
+                action: 'enqueueDownload',
+                kind: isStreaming ? 'stream' : 'direct',
+                video: { ...video, tabId: this.tabId },
+                filename: video.title || this.extractVideoTitle(video.url)
+            });
             
-            if (isStreaming) {
-                // Handle streaming video
-                await chrome.runtime.sendMessage({
-                    action: 'downloadStreaming',
-                    video: video
-                });
-                
-                button.textContent = 'Đã phát hiện stream!';
-                button.className = 'btn warning download-btn';
-                
-                // Show info message
-                setTimeout(() => {
-                    button.textContent = 'Tệp playlist đã tải';
-                    button.className = 'btn info download-btn';
-                }, 1000);
-            } else {
-                // Handle regular video
-                await chrome.runtime.sendMessage({
-                    action: 'downloadVideo',
-                    url: video.url,
-                    filename: video.title || this.extractVideoTitle(video.url)
-                });
-
-                button.textContent = 'Đã tải!';
-                button.className = 'btn success download-btn';
+            if (!response || !response.success) {
+                throw new Error(response?.error || 'Download failed');
             }
             
+            button.textContent = 'Đã thêm vào hàng đợi';
+            button.className = 'btn success download-btn';
+            this.refreshQueue();
+            
             // Reset button after 3 seconds
             setTimeout(() => {
                 button.textContent = originalText;
@@ -413,6 +1512,8 @@ ${video.alternative ? `💡 ${video.alternative}` : ''}
             console.error('Download error:', error);
             button.textContent = 'Lỗi!';
             button.className = 'btn error download-btn';
+            button.title = error.message;
+            this.showItemWarning(button.closest('.video-item'), error.message);
             
             // Reset button after 2 seconds
             setTimeout(() => {
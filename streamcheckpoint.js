@@ -0,0 +1,109 @@
+// Video DownloadHelper - Stream Checkpoints
+// Keeps the segments a queued stream job has already fetched, and the AES
+// keys it used, in IndexedDB so the job continues where it stopped after
+// the service worker or the browser restarts.
+
+const CHECKPOINT_STORE = 'checkpoints';
+const CHECKPOINT_SEGMENT_STORE = 'segments';
+
+class StreamCheckpoint {
+    // store provides idbGet, idbPut, idbWrite and idbDelete
+    constructor(store, jobId) {
+        this.store = store;
+        this.jobId = jobId;
+        this.stage = 0;
+        this.state = {
+            jobId: jobId,
+            segments: {}, // "stage:index" -> { id, offset, length }
+            keys: {}, // key URI -> raw AES-128 key
+            bytes: 0,
+            updatedAt: 0
+        };
+    }
+
+    async load() {
+        const saved = await this.store.idbGet(CHECKPOINT_STORE, this.jobId);
+        if (saved) {
+            this.state = saved;
+        }
+        return this;
+    }
+
+    // Every fetchSegments call of a job (init segments, video, audio) is
+    // a stage. A job fetches its stages in the same order on every run.
+    nextStage() {
+        return this.stage++;
+    }
+
+    entryKey(stage, index) {
+        return `${stage}:${index}`;
+    }
+
+    dataKey(stage, index) {
+        return `${this.jobId}|${stage}:${index}`;
+    }
+
+    // Query strings often carry tokens that change between runs, so a
+    // segment is recognised by its path and byte range
+    segmentId(segment) {
+        try {
+            const url = new URL(segment.url);
+            return `${url.origin}${url.pathname}|${segment.range || ''}`;
+        } catch {
+            return `${segment.url}|${segment.range || ''}`;
+        }
+    }
+
+    async readSegment(stage, index, segment) {
+        const entry = this.state.segments[this.entryKey(stage, index)];
+        if (!entry || entry.id !== this.segmentId(segment)) return null;
+
+        // The record can list a segment whose write never committed
+        const data = await this.store.idbGet(CHECKPOINT_SEGMENT_STORE, this.dataKey(stage, index));
+        return data && data.byteLength === entry.length ? data : null;
+    }
+
+    // A stored segment by position alone, for data the job wrote and now
+    // reads back instead of fetching (live recordings)
+    async readStoredSegment(stage, index) {
+        const entry = this.state.segments[this.entryKey(stage, index)];
+        if (!entry) return null;
+        
+        const data = await this.store.idbGet(CHECKPOINT_SEGMENT_STORE, this.dataKey(stage, index));
+        return data && data.byteLength === entry.length ? data : null;
+    }
+
+    writeSegment(stage, index, segment, data) {
+        const key = this.entryKey(stage, index);
+        if (!this.state.segments[key]) {
+            this.state.segments[key] = {
+                id: this.segmentId(segment),
+                offset: this.state.bytes,
+                length: data.byteLength
+            };
+            this.state.bytes += data.byteLength;
+        }
+        this.state.updatedAt = Date.now();
+
+        return this.store.idbWrite([
+            [CHECKPOINT_SEGMENT_STORE, this.dataKey(stage, index), data],
+            [CHECKPOINT_STORE, this.jobId, this.state]
+        ]);
+    }
+
+    getKey(uri) {
+        return this.state.keys[uri] || null;
+    }
+
+    saveKey(uri, keyData) {
+        this.state.keys[uri] = keyData;
+        this.state.updatedAt = Date.now();
+        return this.store.idbPut(CHECKPOINT_STORE, this.jobId, this.state);
+    }
+
+    async clear() {
+        await this.store.idbDelete(CHECKPOINT_SEGMENT_STORE,
+            IDBKeyRange.bound(`${this.jobId}|`, `${this.jobId}|\uffff`));
+        await this.store.idbDelete(CHECKPOINT_STORE, this.jobId);
+    }
+}
@@ -0,0 +1,159 @@
+// Video DownloadHelper - Subtitles
+// Reads WebVTT (and SRT) text into cues, joins segmented WebVTT from HLS
+// and writes the result back out as .vtt or .srt.
+
+const SUBTITLE_TS_CLOCK = 90000;
+const SUBTITLE_TS_ROLLOVER = 8589934592; // 2^33
+
+class SubtitleConverter {
+    // Text -> { cues: [{ id, start, end, settings, text }], timestampMap }
+    parse(text) {
+        const blocks = text.replace(/^\uFEFF/, '').replace(/\r\n?/g, '\n').split(/\n{2,}/);
+        const cues = [];
+        let timestampMap = null;
+
+        blocks.forEach(block => {
+            const lines = block.replace(/^\n+/, '').split('\n');
+            if (!lines[0].trim()) return;
+
+            if (lines[0].startsWith('WEBVTT')) {
+                const mapLine = lines.find(line => line.startsWith('X-TIMESTAMP-MAP='));
+                if (mapLine) {
+                    timestampMap = this.parseTimestampMap(mapLine);
+                }
+                return;
+            }
+            if (/^(NOTE|STYLE|REGION)\b/.test(lines[0])) return;
+
+            const timingIndex = lines.findIndex(line => line.includes('-->'));
+            if (timingIndex === -1) return;
+
+            const cue = this.parseTiming(lines[timingIndex]);
+            if (!cue) return;
+
+            cue.id = timingIndex > 0 ? lines[timingIndex - 1].trim() : '';
+            cue.text = lines.slice(timingIndex + 1).join('\n').trim();
+            if (cue.text) {
+                cues.push(cue);
+            }
+        });
+
+        return { cues: cues, timestampMap: timestampMap };
+    }
+
+    parseTiming(line) {
+        const match = line.match(/^\s*([\d:.,]+)\s+-->\s+([\d:.,]+)(.*)$/);
+        if (!match) return null;
+
+        const start = this.parseTimestamp(match[1]);
+        const end = this.parseTimestamp(match[2]);
+        if (start === null || end === null) return null;
+
+        return { start: start, end: end, settings: match[3].trim() };
+    }
+
+    // "hh:mm:ss.ttt" or "mm:ss.ttt"; SRT uses a comma before the millis
+    parseTimestamp(text) {
+        const parts = text.replace(',', '.').split(':').map(Number);
+        if (parts.length < 2 || parts.length > 3 || parts.some(Number.isNaN)) return null;
+
+        return parts.reduce((total, part) => total * 60 + part, 0);
+    }
+
+    // X-TIMESTAMP-MAP=MPEGTS:900000,LOCAL:00:00:00.000
+    parseTimestampMap(line) {
+        const mpegts = line.match(/MPEGTS:(\d+)/);
+        const local = line.match(/LOCAL:([\d:.]+)/);
+
+        return {
+            mpegts: mpegts ? parseInt(mpegts[1], 10) : 0,
+            local: local ? this.parseTimestamp(local[1]) || 0 : 0
+        };
+    }
+
+    // HLS WebVTT segments: each X-TIMESTAMP-MAP ties a local cue time to
+    // an MPEG-TS timestamp. The first map marks the start of the video,
+    // so later segments are placed relative to it.
+    joinSegments(texts) {
+        const cues = [];
+        let reference = null;
+
+        texts.forEach(text => {
+            const parsed = this.parse(text);
+            let shift = 0;
+
+            if (parsed.timestampMap) {
+                let mpegts = parsed.timestampMap.mpegts;
+                if (reference === null) {
+                    reference = mpegts;
+                }
+                while (Math.abs(mpegts - reference) > SUBTITLE_TS_ROLLOVER / 2) {
+                    mpegts += mpegts < reference ? SUBTITLE_TS_ROLLOVER : -SUBTITLE_TS_ROLLOVER;
+                }
+                shift = (mpegts - reference) / SUBTITLE_TS_CLOCK - parsed.timestampMap.local;
+            }
+
+            parsed.cues.forEach(cue => {
+                cues.push({ ...cue, start: cue.start + shift, end: cue.end + shift });
+            });
+        });
+
+        return this.normalizeCues(cues);
+    }
+
+    // Sort, drop cues before zero and merge the copies a cue leaves in
+    // every segment it spans (same text, touching or overlapping times)
+    normalizeCues(cues) {
+        const lastByText = new Map();
+        const result = [];
+
+        cues
+            .filter(cue => cue.end > 0)
+            .map(cue => ({ ...cue, start: Math.max(0, cue.start) }))
+            .sort((a, b) => a.start - b.start || a.end - b.end)
+            .forEach(cue => {
+                const previous = lastByText.get(cue.text);
+                if (previous && cue.start <= previous.end + 0.001) {
+                    previous.end = Math.max(previous.end, cue.end);
+                    return;
+                }
+                lastByText.set(cue.text, cue);
+                result.push(cue);
+            });
+
+        return result;
+    }
+
+    toVtt(cues) {
+        const blocks = cues.map(cue => {
+            const timing = `${this.formatTimestamp(cue.start, '.')} --> ${this.formatTimestamp(cue.end, '.')}`;
+            return `${cue.settings ? `${timing} ${cue.settings}` : timing}\n${cue.text}`;
+        });
+
+        return `WEBVTT\n\n${blocks.join('\n\n')}\n`;
+    }
+
+    // SRT has no cue settings and only knows <b>, <i> and <u>
+    toSrt(cues) {
+        const blocks = cues.map((cue, index) => {
+            const text = cue.text
+                .replace(/<(?!\/?[biu]>)[^>]*>/g, '')
+                .replace(/&lt;/g, '<')
+                .replace(/&gt;/g, '>')
+                .replace(/&nbsp;/g, ' ')
+                .replace(/&amp;/g, '&');
+            const timing = `${this.formatTimestamp(cue.start, ',')} --> ${this.formatTimestamp(cue.end, ',')}`;
+            return `${index + 1}\n${timing}\n${text}`;
+        });
+
+        return `${blocks.join('\n\n')}\n`;
+    }
+
+    formatTimestamp(seconds, separator) {
+        const millis = Math.round(seconds * 1000);
+        const pad = (value, length = 2) => String(value).padStart(length, '0');
+
+        return `${pad(Math.floor(millis / 3600000))}:${pad(Math.floor(millis / 60000) % 60)}:` +
+            `${pad(Math.floor(millis / 1000) % 60)}${separator}${pad(millis % 1000, 3)}`;
+    }
+}
@@ -0,0 +1,826 @@
+// Video DownloadHelper - MPEG-TS Demuxer
+// Splits joined MPEG-TS data into H.264/H.265 and AAC/MP3 samples that
+// MP4Muxer can write without re-encoding.
+
+const TS_PACKET_SIZE = 188;
+const TS_SYNC_BYTE = 0x47;
+const PTS_ROLLOVER = 8589934592; // 2^33
+const TS_CLOCK = 90000;
+const PACKED_AUDIO_PID = 0x1fff; // Null packet PID, never a real stream
+const ID3_TIMESTAMP_OWNER = 'com.apple.streaming.transportStreamTimestamp';
+
+const STREAM_TYPES = {
+    0x1b: { type: 'video', codec: 'avc' },
+    0x24: { type: 'video', codec: 'hevc' },
+    0x0f: { type: 'audio', codec: 'aac' },
+    0x03: { type: 'audio', codec: 'mp3' },
+    0x04: { type: 'audio', codec: 'mp3' }
+};
+
+const AAC_SAMPLE_RATES = [96000, 88200, 64000, 48000, 44100, 32000, 24000, 22050, 16000, 12000, 11025, 8000, 7350];
+
+const MPEG_AUDIO_BITRATES = {
+    v1l1: [0, 32, 64, 96, 128, 160, 192, 224, 256, 288, 320, 352, 384, 416, 448],
+    v1l2: [0, 32, 48, 56, 64, 80, 96, 112, 128, 160, 192, 224, 256, 320, 384],
+    v1l3: [0, 32, 40, 48, 56, 64, 80, 96, 112, 128, 160, 192, 224, 256, 320],
+    v2l1: [0, 32, 48, 56, 64, 80, 96, 112, 128, 144, 160, 176, 192, 224, 256],
+    v2l2: [0, 8, 16, 24, 32, 40, 48, 56, 64, 80, 96, 112, 128, 144, 160]
+};
+
+class TSDemuxer {
+    constructor() {
+        this.pmtPid = -1;
+        this.streams = new Map(); // PID -> elementary stream state
+        this.remainder = null;
+    }
+
+    // True when the data starts with MPEG-TS packets
+    static probe(data) {
+        const bytes = data instanceof Uint8Array ? data : new Uint8Array(data);
+        return bytes.length >= TS_PACKET_SIZE * 2 &&
+            bytes[0] === TS_SYNC_BYTE &&
+            bytes[TS_PACKET_SIZE] === TS_SYNC_BYTE;
+    }
+
+    // True for HLS packed audio: raw ADTS/MPEG audio frames, usually
+    // behind an ID3 tag that carries the segment's start timestamp
+    static probePackedAudio(data) {
+        const bytes = data instanceof Uint8Array ? data : new Uint8Array(data);
+        if (bytes.length < 4) return false;
+
+        const isId3 = bytes[0] === 0x49 && bytes[1] === 0x44 && bytes[2] === 0x33;
+        const isAudioSync = bytes[0] === 0xff && (bytes[1] & 0xe0) === 0xe0;
+        return isId3 || isAudioSync;
+    }
+
+    // Feed data in order; packets may span push() calls
+    push(data) {
+        let bytes = data instanceof Uint8Array ? data : new Uint8Array(data);
+
+        if (this.remainder) {
+            const joined = new Uint8Array(this.remainder.length + bytes.length);
+            joined.set(this.remainder);
+            joined.set(bytes, this.remainder.length);
+            bytes = joined;
+            this.remainder = null;
+        }
+
+        let offset = this.findSync(bytes, 0);
+        while (offset + TS_PACKET_SIZE <= bytes.length) {
+            if (bytes[offset] !== TS_SYNC_BYTE) {
+                // Lost sync, e.g. a segment padded with junk
+                offset = this.findSync(bytes, offset + 1);
+                continue;
+            }
+            this.parsePacket(bytes.subarray(offset, offset + TS_PACKET_SIZE));
+            offset += TS_PACKET_SIZE;
+        }
+
+        if (offset < bytes.length) {
+            this.remainder = bytes.slice(offset);
+        }
+    }
+
+    // Feed one packed audio segment; its ID3 timestamp shares the MPEG-TS
+    // clock so it lines up with the video rendition
+    pushPackedAudio(data) {
+        const bytes = data instanceof Uint8Array ? data : new Uint8Array(data);
+        let offset = 0;
+        let timestamp;
+
+        while (offset + 10 <= bytes.length &&
+            bytes[offset] === 0x49 && bytes[offset + 1] === 0x44 && bytes[offset + 2] === 0x33) {
+            const size = this.readSyncsafe(bytes, offset + 6);
+            const hasFooter = (bytes[offset + 5] & 0x10) !== 0;
+            const found = this.readId3Timestamp(bytes.subarray(offset + 10, offset + 10 + size));
+            if (found !== null) timestamp = found;
+            offset += 10 + size + (hasFooter ? 10 : 0);
+        }
+        if (offset + 2 > bytes.length) return;
+
+        let stream = this.streams.get(PACKED_AUDIO_PID);
+        if (!stream) {
+            const isAdts = (bytes[offset + 1] & 0xf6) === 0xf0;
+            stream = {
+                pid: PACKED_AUDIO_PID,
+                type: 'audio',
+                codec: isAdts ? 'aac' : 'mp3',
+                pesChunks: [],
+                pesSize: 0,
+                lastTimestamp: undefined,
+                units: [],
+                config: {},
+                pending: null
+            };
+            this.streams.set(PACKED_AUDIO_PID, stream);
+        }
+
+        let pts;
+        if (timestamp !== undefined) {
+            pts = this.unwrapTimestamp(timestamp, stream);
+            stream.lastTimestamp = pts;
+        } else if (stream.nextPts === undefined) {
+            pts = 0; // No timestamp at all: start the track at zero
+        }
+
+        const pes = { pts: pts, dts: pts, data: bytes.subarray(offset) };
+        if (stream.codec === 'aac') {
+            this.parseAacPes(stream, pes);
+        } else {
+            this.parseMpegAudioPes(stream, pes);
+        }
+    }
+
+    readSyncsafe(bytes, offset) {
+        return (bytes[offset] << 21) | (bytes[offset + 1] << 14) | (bytes[offset + 2] << 7) | bytes[offset + 3];
+    }
+
+    // Look for the PRIV frame holding the 33-bit start timestamp
+    readId3Timestamp(tag) {
+        let offset = 0;
+
+        while (offset + 10 <= tag.length) {
+            const id = String.fromCharCode(tag[offset], tag[offset + 1], tag[offset + 2], tag[offset + 3]);
+            const size = (tag[offset + 4] << 24 | tag[offset + 5] << 16 | tag[offset + 6] << 8 | tag[offset + 7]) >>> 0;
+            if (id === '\0\0\0\0' || size === 0) break;
+
+            const frame = tag.subarray(offset + 10, offset + 10 + size);
+            if (id === 'PRIV') {
+                const ownerEnd = frame.indexOf(0);
+                const owner = String.fromCharCode(...frame.subarray(0, Math.max(ownerEnd, 0)));
+                if (owner === ID3_TIMESTAMP_OWNER && ownerEnd + 9 <= frame.length) {
+                    const value = frame.subarray(ownerEnd + 1, ownerEnd + 9);
+                    return (value[3] & 0x01) * 4294967296 +
+                        ((value[4] << 24 | value[5] << 16 | value[6] << 8 | value[7]) >>> 0);
+                }
+            }
+            offset += 10 + size;
+        }
+
+        return null;
+    }
+
+    findSync(bytes, start) {
+        for (let i = start; i + TS_PACKET_SIZE < bytes.length; i++) {
+            if (bytes[i] === TS_SYNC_BYTE && bytes[i + TS_PACKET_SIZE] === TS_SYNC_BYTE) {
+                return i;
+            }
+        }
+        // Accept a single trailing packet
+        return start < bytes.length && bytes[start] === TS_SYNC_BYTE ? start : bytes.length;
+    }
+
+    parsePacket(packet) {
+        const payloadStart = (packet[1] & 0x40) !== 0;
+        const pid = ((packet[1] & 0x1f) << 8) | packet[2];
+        const adaptationControl = (packet[3] >> 4) & 0x03;
+
+        if (adaptationControl === 0 || adaptationControl === 2) {
+            return; // No payload
+        }
+
+        let offset = 4;
+        if (adaptationControl === 3) {
+            offset += packet[4] + 1;
+            if (offset >= TS_PACKET_SIZE) return;
+        }
+        const payload = packet.subarray(offset);
+
+        if (pid === 0) {
+            this.parsePat(payload, payloadStart);
+        } else if (pid === this.pmtPid) {
+            this.parsePmt(payload, payloadStart);
+        } else if (this.streams.has(pid)) {
+            this.pushPesPayload(this.streams.get(pid), payload, payloadStart);
+        }
+    }
+
+    // Returns the PSI section that starts in this payload, if any
+    sectionStart(payload, payloadStart) {
+        if (!payloadStart) return null;
+        const start = 1 + payload[0];
+        return start < payload.length ? payload.subarray(start) : null;
+    }
+
+    parsePat(payload, payloadStart) {
+        const section = this.sectionStart(payload, payloadStart);
+        if (!section || section[0] !== 0x00) return;
+
+        const sectionLength = ((section[1] & 0x0f) << 8) | section[2];
+        const end = Math.min(3 + sectionLength - 4, section.length);
+
+        // First program with a non-zero number carries the PMT
+        for (let i = 8; i + 4 <= end; i += 4) {
+            const programNumber = (section[i] << 8) | section[i + 1];
+            if (programNumber !== 0) {
+                this.pmtPid = ((section[i + 2] & 0x1f) << 8) | section[i + 3];
+                return;
+            }
+        }
+    }
+
+    parsePmt(payload, payloadStart) {
+        const section = this.sectionStart(payload, payloadStart);
+        if (!section || section[0] !== 0x02) return;
+
+        const sectionLength = ((section[1] & 0x0f) << 8) | section[2];
+        const end = Math.min(3 + sectionLength - 4, section.length);
+        const programInfoLength = ((section[10] & 0x0f) << 8) | section[11];
+
+        for (let i = 12 + programInfoLength; i + 5 <= end;) {
+            const streamType = section[i];
+            const pid = ((section[i + 1] & 0x1f) << 8) | section[i + 2];
+            const infoLength = ((section[i + 3] & 0x0f) << 8) | section[i + 4];
+            const known = STREAM_TYPES[streamType];
+
+            // Keep the first stream of each kind, as players do by default
+            const hasKind = [...this.streams.values()].some(stream => stream.type === (known && known.type));
+            if (known && !this.streams.has(pid) && !hasKind) {
+                this.streams.set(pid, {
+                    pid: pid,
+                    type: known.type,
+                    codec: known.codec,
+                    pesChunks: [],
+                    pesSize: 0,
+                    lastTimestamp: undefined,
+                    units: [],
+                    config: {},
+                    pending: null
+                });
+            }
+
+            i += 5 + infoLength;
+        }
+    }
+
+    pushPesPayload(stream, payload, payloadStart) {
+        if (payloadStart) {
+            this.flushPes(stream);
+        } else if (stream.pesChunks.length === 0) {
+            return; // Data before the first PES header
+        }
+
+        stream.pesChunks.push(payload.slice());
+        stream.pesSize += payload.length;
+    }
+
+    flushPes(stream) {
+        if (stream.pesChunks.length === 0) return;
+
+        const data = new Uint8Array(stream.pesSize);
+        let offset = 0;
+        stream.pesChunks.forEach(chunk => {
+            data.set(chunk, offset);
+            offset += chunk.length;
+        });
+        stream.pesChunks = [];
+        stream.pesSize = 0;
+
+        const pes = this.parsePes(data, stream);
+        if (!pes) return;
+
+        if (stream.codec === 'avc' || stream.codec === 'hevc') {
+            this.parseVideoPes(stream, pes);
+        } else if (stream.codec === 'aac') {
+            this.parseAacPes(stream, pes);
+        } else {
+            this.parseMpegAudioPes(stream, pes);
+        }
+    }
+
+    parsePes(data, stream) {
+        if (data.length < 9 || data[0] !== 0 || data[1] !== 0 || data[2] !== 1) {
+            return null;
+        }
+
+        const flags = data[7] >> 6;
+        const headerLength = data[8];
+        let pts;
+        let dts;
+
+        if (flags & 0x02) {
+            pts = this.unwrapTimestamp(this.readTimestamp(data, 9), stream);
+            dts = pts;
+            if (flags & 0x01) {
+                dts = this.unwrapTimestamp(this.readTimestamp(data, 14), stream);
+            }
+            stream.lastTimestamp = dts;
+        }
+
+        return { pts: pts, dts: dts, data: data.subarray(9 + headerLength) };
+    }
+
+    readTimestamp(data, offset) {
+        // 33 bits spread over 5 bytes with marker bits
+        return (data[offset] & 0x0e) * 536870912 +
+            (data[offset + 1] << 22) +
+            ((data[offset + 2] & 0xfe) << 14) +
+            (data[offset + 3] << 7) +
+            ((data[offset + 4] & 0xfe) >> 1);
+    }
+
+    // Undo the 33-bit wrap so timestamps keep increasing
+    unwrapTimestamp(value, stream) {
+        const reference = stream.lastTimestamp;
+        if (reference === undefined) return value;
+
+        while (Math.abs(reference - value) > PTS_ROLLOVER / 2) {
+            value += reference < value ? -PTS_ROLLOVER : PTS_ROLLOVER;
+        }
+        return value;
+    }
+
+    parseVideoPes(stream, pes) {
+        const isHevc = stream.codec === 'hevc';
+        const nals = this.splitNalUnits(pes.data);
+        const sampleNals = [];
+        let isKeyframe = false;
+
+        nals.forEach(nal => {
+            if (nal.length === 0) return;
+            const nalType = isHevc ? (nal[0] >> 1) & 0x3f : nal[0] & 0x1f;
+
+            if (isHevc) {
+                // Parameter sets go to hvcC, access unit delimiters are dropped
+                if (nalType === 32) this.storeParameterSet(stream, 'vps', nal);
+                else if (nalType === 33) this.storeParameterSet(stream, 'sps', nal);
+                else if (nalType === 34) this.storeParameterSet(stream, 'pps', nal);
+                else if (nalType !== 35) {
+                    if (nalType >= 16 && nalType <= 21) isKeyframe = true;
+                    sampleNals.push(nal);
+                }
+            } else {
+                if (nalType === 7) this.storeParameterSet(stream, 'sps', nal);
+                else if (nalType === 8) this.storeParameterSet(stream, 'pps', nal);
+                else if (nalType !== 9) {
+                    if (nalType === 5) isKeyframe = true;
+                    sampleNals.push(nal);
+                }
+            }
+        });
+
+        if (pes.pts === undefined) {
+            // Continuation of the previous access unit
+            const previous = stream.units[stream.units.length - 1];
+            if (previous) {
+                previous.nals.push(...sampleNals);
+                previous.isKeyframe = previous.isKeyframe || isKeyframe;
+            }
+            return;
+        }
+
+        if (sampleNals.length > 0) {
+            stream.units.push({ pts: pes.pts, dts: pes.dts, nals: sampleNals, isKeyframe: isKeyframe });
+        }
+    }
+
+    storeParameterSet(stream, kind, nal) {
+        // The first parameter set of each kind describes the track
+        if (!stream.config[kind]) {
+            stream.config[kind] = nal.slice();
+        }
+    }
+
+    // Annex B byte stream -> NAL units without start codes
+    splitNalUnits(data) {
+        const nals = [];
+        let start = -1;
+        let i = 0;
+
+        while (i + 2 < data.length) {
+            if (data[i] === 0 && data[i + 1] === 0 && data[i + 2] === 1) {
+                if (start >= 0) {
+                    nals.push(this.trimTrailingZeros(data.subarray(start, i)));
+                }
+                i += 3;
+                start = i;
+            } else {
+                i++;
+            }
+        }
+
+        if (start >= 0 && start < data.length) {
+            nals.push(data.subarray(start));
+        }
+        return nals;
+    }
+
+    trimTrailingZeros(nal) {
+        let end = nal.length;
+        while (end > 0 && nal[end - 1] === 0) end--;
+        return nal.subarray(0, end);
+    }
+
+    parseAacPes(stream, pes) {
+        const data = this.withPending(stream, pes.data);
+        let pts = pes.pts !== undefined ? pes.pts : stream.nextPts;
+        let offset = 0;
+
+        while (offset + 7 <= data.length) {
+            if (data[offset] !== 0xff || (data[offset + 1] & 0xf6) !== 0xf0) {
+                offset++;
+                continue;
+            }
+
+            const headerLength = (data[offset + 1] & 0x01) ? 7 : 9;
+            const frameLength = ((data[offset + 3] & 0x03) << 11) | (data[offset + 4] << 3) | (data[offset + 5] >> 5);
+            if (frameLength < headerLength) {
+                offset++;
+                continue;
+            }
+            if (offset + frameLength > data.length) break;
+
+            if (!stream.config.asc) {
+                const objectType = (data[offset + 2] >> 6) + 1;
+                const frequencyIndex = (data[offset + 2] >> 2) & 0x0f;
+                const channels = ((data[offset + 2] & 0x01) << 2) | (data[offset + 3] >> 6);
+
+                stream.config.sampleRate = AAC_SAMPLE_RATES[frequencyIndex] || 44100;
+                stream.config.channels = channels || 2;
+                stream.config.samplesPerFrame = 1024;
+                stream.config.asc = new Uint8Array([
+                    (objectType << 3) | (frequencyIndex >> 1),
+                    ((frequencyIndex & 0x01) << 7) | (channels << 3)
+                ]);
+            }
+
+            if (pts !== undefined) {
+                stream.units.push({
+                    pts: pts,
+                    dts: pts,
+                    data: data.slice(offset + headerLength, offset + frameLength),
+                    isKeyframe: true
+                });
+                pts += 1024 * TS_CLOCK / stream.config.sampleRate;
+            }
+            offset += frameLength;
+        }
+
+        stream.nextPts = pts;
+        stream.pending = offset < data.length ? data.slice(offset) : null;
+    }
+
+    parseMpegAudioPes(stream, pes) {
+        const data = this.withPending(stream, pes.data);
+        let pts = pes.pts !== undefined ? pes.pts : stream.nextPts;
+        let offset = 0;
+
+        while (offset + 4 <= data.length) {
+            const header = this.parseMpegAudioHeader(data, offset);
+            if (!header) {
+                offset++;
+                continue;
+            }
+            if (offset + header.frameLength > data.length) break;
+
+            if (!stream.config.sampleRate) {
+                stream.config.sampleRate = header.sampleRate;
+                stream.config.channels = header.channels;
+                stream.config.samplesPerFrame = header.samplesPerFrame;
+                stream.config.mpegVersion = header.mpegVersion;
+            }
+
+            if (pts !== undefined) {
+                stream.units.push({
+                    pts: pts,
+                    dts: pts,
+                    data: data.slice(offset, offset + header.frameLength),
+                    isKeyframe: true
+                });
+                pts += header.samplesPerFrame * TS_CLOCK / header.sampleRate;
+            }
+            offset += header.frameLength;
+        }
+
+        stream.nextPts = pts;
+        stream.pending = offset < data.length ? data.slice(offset) : null;
+    }
+
+    parseMpegAudioHeader(data, offset) {
+        if (data[offset] !== 0xff || (data[offset + 1] & 0xe0) !== 0xe0) return null;
+
+        const versionBits = (data[offset + 1] >> 3) & 0x03;
+        const layerBits = (data[offset + 1] >> 1) & 0x03;
+        const bitrateIndex = data[offset + 2] >> 4;
+        const sampleRateIndex = (data[offset + 2] >> 2) & 0x03;
+        if (versionBits === 1 || layerBits === 0 || bitrateIndex === 0 || bitrateIndex === 15 || sampleRateIndex === 3) {
+            return null;
+        }
+
+        const mpegVersion = versionBits === 3 ? 1 : 2; // MPEG-2.5 is handled as MPEG-2
+        const layer = 4 - layerBits;
+        const table = mpegVersion === 1 ? `v1l${layer}` : (layer === 1 ? 'v2l1' : 'v2l2');
+        const bitrate = MPEG_AUDIO_BITRATES[table][bitrateIndex] * 1000;
+        const sampleRate = [44100, 48000, 32000][sampleRateIndex] / (versionBits === 3 ? 1 : versionBits === 2 ? 2 : 4);
+        const padding = (data[offset + 2] >> 1) & 0x01;
+        const channels = (data[offset + 3] >> 6) === 3 ? 1 : 2;
+
+        let samplesPerFrame = 1152;
+        if (layer === 1) samplesPerFrame = 384;
+        else if (layer === 3 && mpegVersion !== 1) samplesPerFrame = 576;
+
+        const frameLength = layer === 1
+            ? (Math.floor(12 * bitrate / sampleRate) + padding) * 4
+            : Math.floor(samplesPerFrame / 8 * bitrate / sampleRate) + padding;
+
+        return { mpegVersion, sampleRate, channels, samplesPerFrame, frameLength };
+    }
+
+    withPending(stream, data) {
+        if (!stream.pending) return data;
+
+        const joined = new Uint8Array(stream.pending.length + data.length);
+        joined.set(stream.pending);
+        joined.set(data, stream.pending.length);
+        stream.pending = null;
+        return joined;
+    }
+
+    // Finish demuxing and return tracks in the shape MP4Muxer expects
+    flush() {
+        this.streams.forEach(stream => this.flushPes(stream));
+
+        const streams = [...this.streams.values()].filter(stream => {
+            if (stream.units.length === 0) return false;
+            if (stream.type === 'video') return stream.config.sps && stream.config.pps;
+            return stream.config.sampleRate;
+        });
+        if (streams.length === 0) return [];
+
+        // Timestamps stay on the MPEG-TS clock; MP4Muxer moves every track
+        // to a shared zero point, which also lines up separate renditions
+        return streams.map((stream, index) => stream.type === 'video'
+            ? this.buildVideoTrack(stream, index + 1)
+            : this.buildAudioTrack(stream, index + 1));
+    }
+
+    buildVideoTrack(stream, id) {
+        const isHevc = stream.codec === 'hevc';
+        const info = isHevc
+            ? this.parseHevcSps(stream.config.sps)
+            : this.parseAvcSps(stream.config.sps);
+
+        const samples = stream.units.map(unit => ({
+            data: this.toLengthPrefixed(unit.nals),
+            dts: unit.dts,
+            cts: Math.max(0, unit.pts - unit.dts),
+            isKeyframe: unit.isKeyframe
+        }));
+        this.assignDurations(samples, this.typicalDelta(samples, 3000), TS_CLOCK * 10);
+
+        return {
+            id: id,
+            type: 'video',
+            codec: isHevc ? 'hevc' : 'avc',
+            timescale: TS_CLOCK,
+            width: info.width,
+            height: info.height,
+            config: {
+                vps: stream.config.vps || null,
+                sps: stream.config.sps,
+                pps: stream.config.pps,
+                info: info
+            },
+            samples: samples
+        };
+    }
+
+    buildAudioTrack(stream, id) {
+        const config = stream.config;
+        const scale = config.sampleRate / TS_CLOCK;
+
+        const samples = stream.units.map(unit => ({
+            data: unit.data,
+            dts: Math.round(unit.dts * scale),
+            cts: 0,
+            isKeyframe: true
+        }));
+        this.assignDurations(samples, config.samplesPerFrame, config.sampleRate * 10);
+
+        return {
+            id: id,
+            type: 'audio',
+            codec: stream.codec,
+            timescale: config.sampleRate,
+            sampleRate: config.sampleRate,
+            channels: config.channels,
+            config: config,
+            samples: samples
+        };
+    }
+
+    // Durations come from DTS deltas; gaps and jumps (discontinuities) get
+    // the nominal duration so the timeline stays continuous
+    assignDurations(samples, nominal, maxGap) {
+        for (let i = 0; i < samples.length; i++) {
+            const next = samples[i + 1];
+            const delta = next ? next.dts - samples[i].dts : nominal;
+            samples[i].duration = delta > 0 && delta <= maxGap ? delta : nominal;
+        }
+        for (let i = 1; i < samples.length; i++) {
+            samples[i].dts = samples[i - 1].dts + samples[i - 1].duration;
+        }
+    }
+
+    typicalDelta(samples, fallback) {
+        const deltas = [];
+        for (let i = 1; i < samples.length && deltas.length < 50; i++) {
+            const delta = samples[i].dts - samples[i - 1].dts;
+            if (delta > 0) deltas.push(delta);
+        }
+        if (deltas.length === 0) return fallback;
+
+        deltas.sort((a, b) => a - b);
+        return deltas[Math.floor(deltas.length / 2)];
+    }
+
+    toLengthPrefixed(nals) {
+        const size = nals.reduce((total, nal) => total + 4 + nal.length, 0);
+        const data = new Uint8Array(size);
+        const view = new DataView(data.buffer);
+        let offset = 0;
+
+        nals.forEach(nal => {
+            view.setUint32(offset, nal.length);
+            data.set(nal, offset + 4);
+            offset += 4 + nal.length;
+        });
+        return data;
+    }
+
+    // Strip emulation prevention bytes (00 00 03) before reading RBSP bits
+    toRbsp(nal) {
+        const out = new Uint8Array(nal.length);
+        let length = 0;
+
+        for (let i = 0; i < nal.length; i++) {
+            if (i >= 2 && nal[i] === 0x03 && nal[i - 1] === 0 && nal[i - 2] === 0) {
+                continue;
+            }
+            out[length++] = nal[i];
+        }
+        return out.subarray(0, length);
+    }
+
+    parseAvcSps(sps) {
+        const reader = new BitReader(this.toRbsp(sps.subarray(1)));
+        const profileIdc = reader.readBits(8);
+        reader.readBits(16); // constraint flags, level_idc
+        reader.readUE(); // seq_parameter_set_id
+
+        let chromaFormatIdc = 1;
+        if ([100, 110, 122, 244, 44, 83, 86, 118, 128, 138, 139, 134, 135].includes(profileIdc)) {
+            chromaFormatIdc = reader.readUE();
+            if (chromaFormatIdc === 3) reader.readBits(1);
+            reader.readUE(); // bit_depth_luma_minus8
+            reader.readUE(); // bit_depth_chroma_minus8
+            reader.readBits(1);
+            if (reader.readBits(1)) {
+                for (let i = 0; i < (chromaFormatIdc !== 3 ? 8 : 12); i++) {
+                    if (reader.readBits(1)) {
+                        this.skipScalingList(reader, i < 6 ? 16 : 64);
+                    }
+                }
+            }
+        }
+
+        reader.readUE(); // log2_max_frame_num_minus4
+        const pocType = reader.readUE();
+        if (pocType === 0) {
+            reader.readUE();
+        } else if (pocType === 1) {
+            reader.readBits(1);
+            reader.readSE();
+            reader.readSE();
+            const cycle = reader.readUE();
+            for (let i = 0; i < cycle; i++) reader.readSE();
+        }
+
+        reader.readUE(); // max_num_ref_frames
+        reader.readBits(1);
+        const widthInMbs = reader.readUE() + 1;
+        const heightInMapUnits = reader.readUE() + 1;
+        const frameMbsOnly = reader.readBits(1);
+        if (!frameMbsOnly) reader.readBits(1);
+        reader.readBits(1); // direct_8x8_inference_flag
+
+        let crop = [0, 0, 0, 0];
+        if (reader.readBits(1)) {
+            crop = [reader.readUE(), reader.readUE(), reader.readUE(), reader.readUE()];
+        }
+
+        const cropUnitX = chromaFormatIdc === 1 || chromaFormatIdc === 2 ? 2 : 1;
+        const cropUnitY = (chromaFormatIdc === 1 ? 2 : 1) * (2 - frameMbsOnly);
+
+        return {
+            width: widthInMbs * 16 - (crop[0] + crop[1]) * cropUnitX,
+            height: (2 - frameMbsOnly) * heightInMapUnits * 16 - (crop[2] + crop[3]) * cropUnitY
+        };
+    }
+
+    skipScalingList(reader, size) {
+        let lastScale = 8;
+        let nextScale = 8;
+        for (let i = 0; i < size; i++) {
+            if (nextScale !== 0) {
+                nextScale = (lastScale + reader.readSE() + 256) % 256;
+            }
+            lastScale = nextScale === 0 ? lastScale : nextScale;
+        }
+    }
+
+    // Reads what hvcC needs from an HEVC SPS
+    parseHevcSps(sps) {
+        const reader = new BitReader(this.toRbsp(sps.subarray(2)));
+        reader.readBits(4); // sps_video_parameter_set_id
+        const maxSubLayersMinus1 = reader.readBits(3);
+        const temporalIdNesting = reader.readBits(1);
+
+        const generalProfileSpace = reader.readBits(2);
+        const generalTier = reader.readBits(1);
+        const generalProfileIdc = reader.readBits(5);
+        const compatibilityFlags = reader.readBits(32);
+        const constraintFlags = [];
+        for (let i = 0; i < 6; i++) constraintFlags.push(reader.readBits(8));
+        const generalLevelIdc = reader.readBits(8);
+
+        const subLayers = [];
+        for (let i = 0; i < maxSubLayersMinus1; i++) {
+            subLayers.push({ profile: reader.readBits(1), level: reader.readBits(1) });
+        }
+        if (maxSubLayersMinus1 > 0) {
+            for (let i = maxSubLayersMinus1; i < 8; i++) reader.readBits(2);
+        }
+        subLayers.forEach(layer => {
+            if (layer.profile) reader.skipBits(88);
+            if (layer.level) reader.skipBits(8);
+        });
+
+        reader.readUE(); // sps_seq_parameter_set_id
+        const chromaFormatIdc = reader.readUE();
+        if (chromaFormatIdc === 3) reader.readBits(1);
+        let width = reader.readUE();
+        let height = reader.readUE();
+
+        if (reader.readBits(1)) {
+            const subWidth = chromaFormatIdc === 1 || chromaFormatIdc === 2 ? 2 : 1;
+            const subHeight = chromaFormatIdc === 1 ? 2 : 1;
+            const left = reader.readUE();
+            const right = reader.readUE();
+            const top = reader.readUE();
+            const bottom = reader.readUE();
+            width -= (left + right) * subWidth;
+            height -= (top + bottom) * subHeight;
+        }
+
+        return {
+            width: width,
+            height: height,
+            generalProfileSpace: generalProfileSpace,
+            generalTier: generalTier,
+            generalProfileIdc: generalProfileIdc,
+            compatibilityFlags: compatibilityFlags,
+            constraintFlags: constraintFlags,
+            generalLevelIdc: generalLevelIdc,
+            chromaFormatIdc: chromaFormatIdc,
+            bitDepthLumaMinus8: reader.readUE(),
+            bitDepthChromaMinus8: reader.readUE(),
+            numTemporalLayers: maxSubLayersMinus1 + 1,
+            temporalIdNesting: temporalIdNesting
+        };
+    }
+}
+
+// Exp-Golomb capable bit reader for parameter sets
+class BitReader {
+    constructor(bytes) {
+        this.bytes = bytes;
+        this.position = 0;
+    }
+
+    readBits(count) {
+        let value = 0;
+        for (let i = 0; i < count; i++) {
+            const byte = this.bytes[this.position >> 3] || 0;
+            const bit = (byte >> (7 - (this.position & 7))) & 1;
+            value = value * 2 + bit;
+            this.position++;
+        }
+        return value;
+    }
+
+    skipBits(count) {
+        this.position += count;
+    }
+
+    readUE() {
+        let zeros = 0;
+        while (this.readBits(1) === 0 && zeros < 32) zeros++;
+        return Math.pow(2, zeros) - 1 + this.readBits(zeros);
+    }
+
+    readSE() {
+        const value = this.readUE();
+        return value & 1 ? (value + 1) / 2 : -value / 2;
+    }
+}